@@ -1,4 +1,29 @@
 const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const offlineQueue = require('./offlineQueue');
+
+// Version of the offline record schema. Version 1 records were stored before
+// records had a version and only kept the language, times and duration.
+const OFFLINE_RECORD_VERSION = 2;
+
+// Migrations from each record version to the next
+const RECORD_MIGRATIONS = {
+  // Fields that weren't stored can't be recovered, so mark the record for
+  // the server instead
+  1: (record) => ({ ...record, version: 2, migratedFrom: 1 })
+};
+
+// Upload states of offline records
+const RECORD_STATES = {
+  PENDING: 'pending',
+  IN_FLIGHT: 'in-flight',
+  ACKED: 'acked',
+  REJECTED: 'rejected'
+};
+
+// Rejected records kept for retrying, the oldest are dropped beyond this
+const MAX_REJECTED_RECORDS = 200;
 
 /**
  * Storage service for managing extension data
@@ -6,6 +31,15 @@ const vscode = require('vscode');
 class StorageService {
   constructor() {
     this.context = null;
+    // Only one window writes the shared queue, the others hand sessions over
+    // through their inbox
+    this.queueWriter = true;
+    this.queueLockCheck = null;
+    this.offlineQueueReady = false;
+    this.offlineRetention = { maxBytes: Infinity, maxAgeMs: Infinity };
+    // Upload states of the records this window sent, the others are pending
+    this.RECORD_STATES = RECORD_STATES;
+    this.recordStates = new Map();
   }
   
   /**
@@ -14,39 +48,224 @@ class StorageService {
    */
   setContext(context) {
     this.context = context;
+    this.offlineQueueReady = false;
+  }
+  
+  /**
+   * Set whether this window writes the shared offline queue
+   * @param {boolean} queueWriter - True if this window holds the queue lock
+   */
+  setQueueWriter(queueWriter) {
+    this.queueWriter = queueWriter;
+  }
+  
+  /**
+   * Set the check that confirms this window still holds the queue lock right
+   * before the queue is written or compacted
+   * @param {Function} check - Returns true if this window holds the lock
+   */
+  setQueueLockCheck(check) {
+    this.queueLockCheck = check;
+  }
+  
+  /**
+   * Set the limits beyond which compaction drops the oldest offline records
+   * @param {Object} retention
+   * @param {number} retention.maxBytes - Largest size of the queue in bytes
+   * @param {number} retention.maxAgeMs - Oldest age of a session in milliseconds
+   */
+  setOfflineRetention(retention) {
+    this.offlineRetention = retention;
+    offlineQueue.setRetention(retention);
+  }
+  
+  /**
+   * Get the offline queue, setting it up on first use
+   * @returns {Object} - The offline queue
+   */
+  getOfflineQueue() {
+    if (!this.offlineQueueReady) {
+      offlineQueue.initialize(this.getStorageDirectory('queue'), {
+        retention: this.offlineRetention,
+        onDiscard: (count) => {
+          vscode.window.showWarningMessage(
+            `${count} coding sessions stored offline were discarded because the offline queue exceeded its size or age limit.`
+          );
+        },
+        canCompact: () => this.isQueueWriter()
+      });
+      this.offlineQueueReady = true;
+    }
+    return offlineQueue;
+  }
+  
+  /**
+   * Check whether this window writes the shared offline queue. The lock is
+   * checked again, so a window that lost it stops writing right away.
+   * @returns {boolean} - True if this window holds the queue lock
+   */
+  isQueueWriter() {
+    if (this.queueWriter && this.queueLockCheck && !this.queueLockCheck()) {
+      this.queueWriter = false;
+    }
+    return this.queueWriter;
   }
   
   /**
-   * Add a session to the offline storage
+   * Add a session to the offline storage. A session that is already queued,
+   * e.g. because it was edited, replaces its earlier record.
    * @param {Object} session - The session to store
    */
   async addOfflineSession(session) {
+    await this.addOfflineRecord(this.toOfflineRecord(session));
+  }
+  
+  /**
+   * Queue the deletion of a session, so it's removed from the server if it
+   * was already uploaded and never uploaded if it's still queued
+   * @param {string} id - ID of the session to delete
+   */
+  async addOfflineDeletion(id) {
+    await this.addOfflineRecord({ version: OFFLINE_RECORD_VERSION, id, deleted: true });
+  }
+  
+  /**
+   * Add a record to the offline queue, or hand it to the queue writer
+   * @param {Object} record - The offline record
+   */
+  async addOfflineRecord(record) {
     try {
-      const offlineSessions = this.getOfflineSessions();
-      offlineSessions.push({
-        id: session.id,
-        language: session.language,
-        // Convert Date objects to ISO strings for storage
-        startTime: session.startTime instanceof Date ? session.startTime.toISOString() : session.startTime,
-        endTime: session.endTime instanceof Date ? session.endTime.toISOString() : session.endTime,
-        duration: session.duration
-      });
+      if (!this.isQueueWriter()) {
+        this.appendToInbox(record);
+        return;
+      }
+      
+      // A record replaced while in flight, e.g. by an edit, has to be sent again
+      this.recordStates.delete(record.id);
       
-      await this.context.globalState.update('offlineSessions', offlineSessions);
-      this.maybeTriggerOfflineWarning(offlineSessions.length);
+      const queue = this.getOfflineQueue();
+      queue.append([record]);
+      this.maybeTriggerOfflineWarning(queue.count());
     } catch (error) {
       console.error('Failed to store offline session:', error);
     }
   }
   
+  /**
+   * Convert a session to the record stored offline. Every field of the
+   * session is kept, so metadata added later survives the queue too.
+   * @param {Object} session - The session to store
+   * @returns {Object} - Serializable record
+   */
+  toOfflineRecord(session) {
+    const record = { version: OFFLINE_RECORD_VERSION };
+    for (const [field, value] of Object.entries(session)) {
+      // Convert Date objects to ISO strings for storage
+      record[field] = value instanceof Date ? value.toISOString() : value;
+    }
+    return record;
+  }
+  
+  /**
+   * Bring a record stored by an earlier version up to the current schema
+   * @param {Object} record - The stored record
+   * @returns {Object} - The record in the current schema
+   */
+  migrateRecord(record) {
+    let migrated = record;
+    let version = migrated.version || 1;
+    while (version < OFFLINE_RECORD_VERSION) {
+      migrated = RECORD_MIGRATIONS[version](migrated);
+      version = migrated.version;
+    }
+    return migrated;
+  }
+  
+  /**
+   * Check if a record was stored before records kept every session field
+   * @param {Object} record - A migrated record
+   * @returns {boolean} - True if the record lacks the project, file and metadata
+   */
+  isLegacyRecord(record) {
+    return record.migratedFrom === 1;
+  }
+  
+  /**
+   * Hand a record over to the queue writer through this window's inbox file
+   * @param {Object} record - The offline record
+   */
+  appendToInbox(record) {
+    const file = path.join(this.getStorageDirectory('inbox'), `${process.pid}.jsonl`);
+    fs.appendFileSync(file, `${JSON.stringify(record)}\n`);
+  }
+  
+  /**
+   * Move records other windows handed over into the offline queue, along
+   * with records earlier versions kept in the global state. Only the queue
+   * writer may call this.
+   */
+  async ingestInbox() {
+    if (!this.isQueueWriter()) return;
+    
+    try {
+      const directory = this.getStorageDirectory('inbox');
+      const claimedFiles = [];
+      const records = [];
+      
+      for (const name of fs.readdirSync(directory)) {
+        let claimed = path.join(directory, name);
+        
+        // Claim the file first so appends that race with us land in a new one.
+        // Files that are already claimed were left behind by a crashed writer.
+        if (path.extname(name) === '.jsonl') {
+          claimed = `${claimed}.ingesting`;
+          try {
+            fs.renameSync(path.join(directory, name), claimed);
+          } catch (error) {
+            continue;
+          }
+        } else if (path.extname(name) !== '.ingesting') {
+          continue;
+        }
+        
+        claimedFiles.push(claimed);
+        for (const line of fs.readFileSync(claimed, 'utf8').split('\n')) {
+          if (!line.trim()) continue;
+          try {
+            records.push(JSON.parse(line));
+          } catch (error) {
+            console.error('Skipping unreadable inbox record:', error);
+          }
+        }
+      }
+      
+      // Earlier versions kept the whole queue in the global state
+      const stored = this.context.globalState.get('offlineSessions', []);
+      
+      const queue = this.getOfflineQueue();
+      queue.append([...stored, ...records]);
+      if (stored.length > 0) {
+        await this.context.globalState.update('offlineSessions', undefined);
+      }
+      queue.scheduleCompaction();
+      
+      for (const claimed of claimedFiles) {
+        fs.rmSync(claimed, { force: true });
+      }
+    } catch (error) {
+      console.error('Failed to ingest offline inbox:', error);
+    }
+  }
+  
   /**
    * Get all offline sessions
    * @param {number} limit - Optional limit on number of sessions to return
    * @returns {Array} - Array of offline sessions
    */
   getOfflineSessions(limit = Infinity) {
-    const sessions = this.context.globalState.get('offlineSessions', []);
-    return limit < Infinity ? sessions.slice(0, limit) : sessions;
+    return this.getOfflineQueue()
+      .read(limit)
+      .map((record) => this.migrateRecord(record));
   }
   
   /**
@@ -62,21 +281,135 @@ class StorageService {
    * @returns {number} - Number of offline sessions
    */
   getOfflineSessionCount() {
-    return this.context.globalState.get('offlineSessions', []).length;
+    return this.getOfflineQueue().count();
   }
   
   /**
-   * Remove a number of offline sessions from the start of the queue
+   * Remove a number of offline sessions from the start of the queue, as if
+   * the server acknowledged them
    * @param {number} count - Number of sessions to remove
    */
   async removeOfflineSessions(count) {
+    const ids = this.getOfflineSessions(count).map((record) => record.id);
+    this.markInFlight(ids);
+    this.markAcked(ids);
+  }
+  
+  /**
+   * Get the upload state of an offline record
+   * @param {string} id - ID of the record
+   * @returns {string} - One of RECORD_STATES
+   */
+  getRecordState(id) {
+    return this.recordStates.get(id) || RECORD_STATES.PENDING;
+  }
+  
+  /**
+   * Mark offline records as being uploaded
+   * @param {string[]} ids - IDs of the records
+   */
+  markInFlight(ids) {
+    for (const id of ids) {
+      this.recordStates.set(id, RECORD_STATES.IN_FLIGHT);
+    }
+  }
+  
+  /**
+   * Mark offline records whose upload failed as pending again
+   * @param {string[]} ids - IDs of the records
+   */
+  markPending(ids) {
+    for (const id of ids) {
+      if (this.getRecordState(id) === RECORD_STATES.IN_FLIGHT) {
+        this.recordStates.delete(id);
+      }
+    }
+  }
+  
+  /**
+   * Remove offline records the server acknowledged from the queue. Records
+   * replaced since they were sent stay queued.
+   * @param {string[]} ids - IDs of the acknowledged records
+   */
+  markAcked(ids) {
+    // The new writer sends them again, the idempotency keys prevent duplicates
+    if (!this.isQueueWriter()) {
+      this.markPending(ids);
+      return;
+    }
+    
+    try {
+      const acked = ids.filter((id) => this.getRecordState(id) === RECORD_STATES.IN_FLIGHT);
+      this.getOfflineQueue().remove(acked);
+      for (const id of acked) {
+        this.recordStates.set(id, RECORD_STATES.ACKED);
+      }
+    } catch (error) {
+      console.error('Failed to remove acknowledged sessions:', error);
+    }
+  }
+  
+  /**
+   * Move offline records the server permanently rejected from the queue to
+   * the rejected records, so they aren't retried forever
+   * @param {Array<{record: Object, error: string}>} rejections - Rejected
+   * records and the server's reasons
+   */
+  async markRejected(rejections) {
+    if (!this.isQueueWriter()) {
+      this.markPending(rejections.map(({ record }) => record.id));
+      return;
+    }
+    
     try {
-      const offlineSessions = this.getOfflineSessions();
-      const remainingSessions = offlineSessions.slice(count);
-      await this.context.globalState.update('offlineSessions', remainingSessions);
+      const rejected = rejections.filter(
+        ({ record }) => this.getRecordState(record.id) === RECORD_STATES.IN_FLIGHT
+      );
+      if (rejected.length === 0) return;
+      
+      this.getOfflineQueue().remove(rejected.map(({ record }) => record.id));
+      for (const { record } of rejected) {
+        this.recordStates.set(record.id, RECORD_STATES.REJECTED);
+      }
+      await this.addRejectedRecords(rejected);
     } catch (error) {
-      console.error('Failed to remove offline sessions:', error);
+      console.error('Failed to store rejected sessions:', error);
+    }
+  }
+  
+  /**
+   * Add records to the rejected records
+   * @param {Array<{record: Object, error: string}>} rejections - Rejected
+   * records and the server's reasons
+   */
+  async addRejectedRecords(rejections) {
+    if (rejections.length === 0) return;
+    
+    const rejectedAt = new Date().toISOString();
+    const added = rejections.map(({ record, error }) => ({ record, error, rejectedAt }));
+    const rejected = [...this.getRejectedRecords(), ...added].slice(-MAX_REJECTED_RECORDS);
+    await this.context.globalState.update('rejectedSessions', rejected);
+  }
+  
+  /**
+   * Get the records the server permanently rejected
+   * @returns {Array<{record: Object, error: string, rejectedAt: string}>}
+   */
+  getRejectedRecords() {
+    return this.context.globalState.get('rejectedSessions', []);
+  }
+  
+  /**
+   * Put the rejected records back into the offline queue
+   * @returns {Promise<number>} - Number of records queued again
+   */
+  async retryRejectedRecords() {
+    const rejected = this.getRejectedRecords();
+    await this.context.globalState.update('rejectedSessions', []);
+    for (const { record } of rejected) {
+      await this.addOfflineRecord(record);
     }
+    return rejected.length;
   }
   
   /**
@@ -92,6 +425,100 @@ class StorageService {
     }
   }
   
+  /**
+   * Get a directory under the extension's global storage, creating it if needed
+   * @param {string} name - Directory name
+   * @returns {string} - Absolute path of the directory
+   */
+  getStorageDirectory(name) {
+    const directory = path.join(this.context.globalStorageUri.fsPath, name);
+    fs.mkdirSync(directory, { recursive: true });
+    return directory;
+  }
+  
+  /**
+   * Write a checkpoint of a window's pending activity to disk
+   * @param {string} instanceId - ID of the window the checkpoint belongs to
+   * @param {Object} checkpoint - Serializable checkpoint data
+   */
+  writeCheckpoint(instanceId, checkpoint) {
+    try {
+      const file = path.join(this.getStorageDirectory('checkpoints'), `${instanceId}.json`);
+      
+      // Write to a temporary file first so a crash never leaves a torn checkpoint
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(checkpoint));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (error) {
+      console.error('Failed to write checkpoint:', error);
+    }
+  }
+  
+  /**
+   * Get all checkpoints on disk
+   * @returns {Array} - Array of checkpoints with their instanceId
+   */
+  getCheckpoints() {
+    try {
+      const directory = this.getStorageDirectory('checkpoints');
+      const checkpoints = [];
+      
+      for (const name of fs.readdirSync(directory)) {
+        if (path.extname(name) !== '.json') continue;
+        
+        try {
+          const checkpoint = JSON.parse(fs.readFileSync(path.join(directory, name), 'utf8'));
+          checkpoints.push({ ...checkpoint, instanceId: path.basename(name, '.json') });
+        } catch (error) {
+          console.error(`Skipping unreadable checkpoint ${name}:`, error);
+        }
+      }
+      
+      return checkpoints;
+    } catch (error) {
+      console.error('Failed to read checkpoints:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Atomically take a checkpoint off disk so no other window can recover it too
+   * @param {string} instanceId - ID of the window the checkpoint belongs to
+   * @returns {Object|null} - The checkpoint or null if it's gone or unreadable
+   */
+  takeCheckpoint(instanceId) {
+    const directory = this.getStorageDirectory('checkpoints');
+    const file = path.join(directory, `${instanceId}.json`);
+    const claimed = path.join(directory, `${instanceId}.${process.pid}.claimed`);
+    
+    try {
+      fs.renameSync(file, claimed);
+    } catch (error) {
+      // Another window got to it first
+      return null;
+    }
+    
+    try {
+      return JSON.parse(fs.readFileSync(claimed, 'utf8'));
+    } catch (error) {
+      console.error('Failed to read checkpoint:', error);
+      return null;
+    } finally {
+      fs.rmSync(claimed, { force: true });
+    }
+  }
+  
+  /**
+   * Remove a window's checkpoint
+   * @param {string} instanceId - ID of the window the checkpoint belongs to
+   */
+  removeCheckpoint(instanceId) {
+    try {
+      fs.rmSync(path.join(this.getStorageDirectory('checkpoints'), `${instanceId}.json`), { force: true });
+    } catch (error) {
+      console.error('Failed to remove checkpoint:', error);
+    }
+  }
+  
   /**
    * Cache languages for offline use
    * @param {Array} languages - Array of language objects
@@ -112,12 +539,35 @@ class StorageService {
     return this.context.globalState.get('cachedLanguages', null);
   }
   
+  /**
+   * Get the records of when goals were last met and their streaks
+   * @returns {Object} - Records by goal key
+   */
+  getGoalRecords() {
+    return { ...this.context.globalState.get('goalRecords', {}) };
+  }
+  
+  /**
+   * Store the records of when goals were last met and their streaks
+   * @param {Object} records - Records by goal key
+   */
+  async setGoalRecords(records) {
+    try {
+      await this.context.globalState.update('goalRecords', records);
+    } catch (error) {
+      console.error('Failed to store goal records:', error);
+    }
+  }
+  
   /**
    * Clear all cached data
    */
   async clearCache() {
     try {
-      await this.context.globalState.update('offlineSessions', []);
+      this.getOfflineQueue().clear();
+      await this.context.globalState.update('offlineSessions', undefined);
+      await this.context.globalState.update('rejectedSessions', []);
+      this.recordStates.clear();
       await this.context.globalState.update('cachedLanguages', null);
     } catch (error) {
       console.error('Failed to clear cache:', error);
@@ -0,0 +1,123 @@
+const vscode = require("vscode");
+
+// Kinds of work a session can be credited to
+const CATEGORIES = {
+  CODING: "coding",
+  DEBUGGING: "debugging",
+  RUNNING_TASKS: "running tasks",
+  TERMINAL: "terminal",
+  REVIEWING: "reviewing",
+};
+
+const CATEGORY_LABELS = {
+  [CATEGORIES.CODING]: "Coding",
+  [CATEGORIES.DEBUGGING]: "Debugging",
+  [CATEGORIES.RUNNING_TASKS]: "Running Tasks",
+  [CATEGORIES.TERMINAL]: "Terminal",
+  [CATEGORIES.REVIEWING]: "Code Review",
+};
+
+/**
+ * Keeps track of debug sessions, tasks and terminal commands to decide which
+ * activity category time belongs to
+ */
+class ActivityService {
+  constructor() {
+    this.CATEGORIES = CATEGORIES;
+    this.debugSessions = new Set();
+    this.runningTasks = new Set();
+    this.terminalCommands = new Set();
+  }
+
+  /**
+   * Remember a debug session that started
+   * @param {vscode.DebugSession} session
+   */
+  startDebugSession(session) {
+    this.debugSessions.add(session.id);
+  }
+
+  /**
+   * Forget a debug session that ended
+   * @param {vscode.DebugSession} session
+   */
+  endDebugSession(session) {
+    this.debugSessions.delete(session.id);
+  }
+
+  /**
+   * Remember a task that started. Background tasks such as file watchers run
+   * all day, so they don't count as running tasks.
+   * @param {vscode.TaskExecution} execution
+   */
+  startTask(execution) {
+    if (!execution.task.isBackground) {
+      this.runningTasks.add(execution);
+    }
+  }
+
+  /**
+   * Forget a task that ended
+   * @param {vscode.TaskExecution} execution
+   */
+  endTask(execution) {
+    this.runningTasks.delete(execution);
+  }
+
+  /**
+   * Remember a command that started in a terminal with shell integration
+   * @param {Object} execution - The terminal shell execution
+   */
+  startTerminalCommand(execution) {
+    this.terminalCommands.add(execution);
+  }
+
+  /**
+   * Forget a terminal command that ended
+   * @param {Object} execution - The terminal shell execution
+   */
+  endTerminalCommand(execution) {
+    this.terminalCommands.delete(execution);
+  }
+
+  /**
+   * Check if the user is debugging
+   * @returns {boolean} - True while paused in the debugger, or while any debug
+   * session runs on VS Code versions that don't report the paused state
+   */
+  isDebugging() {
+    if ("activeStackItem" in vscode.debug) {
+      return vscode.debug.activeStackItem !== undefined;
+    }
+    return this.debugSessions.size > 0;
+  }
+
+  /**
+   * Get the category of activity in a text editor
+   * @returns {string} - "debugging" while debugging, "coding" otherwise
+   */
+  getEditorCategory() {
+    return this.isDebugging() ? CATEGORIES.DEBUGGING : CATEGORIES.CODING;
+  }
+
+  /**
+   * Get the category of work that keeps going without editor events
+   * @returns {string|null} - "running tasks", "terminal" or null if nothing runs
+   */
+  getOngoingCategory() {
+    if (this.runningTasks.size > 0) return CATEGORIES.RUNNING_TASKS;
+    if (this.terminalCommands.size > 0) return CATEGORIES.TERMINAL;
+    return null;
+  }
+
+  /**
+   * Get the display name of a category
+   * @param {string} [category] - The category, sessions without one are coding
+   * @returns {string} - The display name
+   */
+  getCategoryLabel(category = CATEGORIES.CODING) {
+    return CATEGORY_LABELS[category] || category;
+  }
+}
+
+module.exports = new ActivityService();
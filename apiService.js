@@ -1,14 +1,56 @@
 const axios = require("axios");
 const vscode = require("vscode");
 
+// Per-session results of a batch upload that mean the server has the session
+const ACCEPTED_STATUSES = ["accepted", "duplicate"];
+
 /**
  * @typedef {Object} SessionData
+ * @property {string} [client_session_id] - ID the extension gave the session, so edits and deletions can find it
+ * @property {string} [idempotency_key] - Key the server dedupes uploads by: the session ID, plus the revision for corrected sessions
  * @property {number} language_id - The ID of the programming language
  * @property {string} start_time - ISO timestamp of session start
  * @property {string} end_time - ISO timestamp of session end
  * @property {number} duration - Duration in seconds
+ * @property {number} [reading_duration] - Seconds of the duration spent reading: scrolling, moving the cursor and going to definitions
+ * @property {number} [writing_duration] - Seconds of the duration spent editing and shortly after
+ * @property {number} [focus_duration] - Seconds of the session that fell into focus timer intervals
  * @property {string} [project_name] - Optional project name
  * @property {string} [file_path] - Optional file path
+ * @property {string|null} [branch] - Git branch the session was on
+ * @property {string|null} [commit_sha] - Git HEAD commit during the session
+ * @property {string|null} [remote_url] - Normalized git remote URL
+ * @property {string|null} [ticket] - Ticket/issue ID from the branch or commit message
+ * @property {string} [category] - Activity category: coding, debugging, running tasks, terminal or reviewing
+ * @property {string[]} [tags] - Tags from the project configuration
+ * @property {string|null} [client] - Client from the project configuration
+ * @property {string|null} [billing_code] - Billing code from the project configuration
+ * @property {string} [remote_kind] - Where the work happened: local, ssh-remote, wsl, dev-container, ...
+ * @property {string|null} [cell_kind] - Kind of notebook cell ("code" or "markdown") if notebook time is split
+ * @property {boolean} [manual] - True for time the user logged by hand
+ * @property {string|null} [note] - Note the user added to logged time
+ * @property {boolean} [legacy_record] - True for sessions queued offline by an earlier version, which lack the project, file and metadata
+ * @property {number} [characters_typed] - Characters inserted
+ * @property {number} [lines_added] - Line breaks inserted
+ * @property {number} [lines_deleted] - Line breaks removed
+ * @property {number} [saves] - Number of saves
+ * @property {number} [size_delta] - Net change of the file size in characters
+ * @property {number} [typed_characters] - Characters typed by hand
+ * @property {number} [pasted_characters] - Characters pasted from the clipboard
+ * @property {number} [ai_characters] - Characters from inline completions and other generated inserts
+ * @property {number} [typed_insertions] - Number of typed insertions
+ * @property {number} [pasted_insertions] - Number of pastes
+ * @property {number} [ai_insertions] - Number of generated insertions
+ * @property {number} [typed_share] - Share of inserted characters that were typed, 0 to 1
+ * @property {number} [pasted_share] - Share of inserted characters that were pasted, 0 to 1
+ * @property {number} [ai_share] - Share of inserted characters that were generated, 0 to 1
+ */
+
+/**
+ * @typedef {Object} UploadOutcome
+ * @property {string[]} accepted - IDs of sessions the server stored, now or before
+ * @property {Array<{id: string, error: string}>} rejected - Sessions the server permanently rejected, with its reasons
+ * @property {string[]} failed - IDs of sessions that should be sent again later
  */
 
 /**
@@ -128,7 +170,6 @@ class ApiService {
    * Extract a user-friendly error message from the error response
    * @param {Object} errorData - The error response data
    * @returns {string} - A user-friendly error message
-   * @private
    */
   getErrorMessage(errorData) {
     if (!errorData) return "An unknown error occurred";
@@ -161,9 +202,11 @@ class ApiService {
         "Sending session data:",
         JSON.stringify(sessionData, null, 2)
       );
+      // A retry after a timeout must not store the session twice
       const response = await this.axiosInstance.post(
         "/coding-sessions",
-        sessionData
+        sessionData,
+        { headers: { "Idempotency-Key": sessionData.idempotency_key } }
       );
       return response.data;
     } catch (error) {
@@ -176,27 +219,29 @@ class ApiService {
   }
 
   /**
-   * Send multiple sessions to the API in a batch
+   * Send multiple sessions to the API in a batch. Each session carries its
+   * idempotency key, and the server reports the result for each session.
    * @param {SessionData[]} sessions - Array of session data to send
-   * @returns {Promise<{success: boolean, count: number}>} - The API response
+   * @returns {Promise<UploadOutcome>} - What became of each session
    */
   async sendBatchSessions(sessions) {
     try {
       // Ensure we have the latest API URL
       this.updateBaseUrl();
 
-      // Group sessions by language and project to reduce payload size
-      const groupedSessions = this.groupSessionsByLanguage(sessions);
-
-      console.log(
-        `Sending ${groupedSessions.length} grouped sessions (from ${sessions.length} original sessions)`
-      );
+      console.log(`Sending a batch of ${sessions.length} sessions`);
 
       const response = await this.axiosInstance.post("/coding-sessions/batch", {
-        sessions: groupedSessions,
+        sessions,
       });
-      return response.data;
+      return this.getBatchOutcome(sessions, response.data);
     } catch (error) {
+      // A single invalid session fails the whole batch, so send them one by
+      // one to find it
+      if (this.isRejection(error) && sessions.length > 1) {
+        return this.sendSessionsOneByOne(sessions);
+      }
+
       console.error("Failed to send batch sessions:", error.message);
       if (error.response?.data) {
         console.error("Server response:", error.response.data);
@@ -206,62 +251,130 @@ class ApiService {
   }
 
   /**
-   * Group sessions by language and week to reduce number of operations
-   * @param {SessionData[]} sessions - Original sessions
-   * @returns {SessionData[]} - Consolidated sessions
+   * Send sessions one request at a time
+   * @param {SessionData[]} sessions - Session data to send
+   * @returns {Promise<UploadOutcome>} - What became of each session
+   * @private
    */
-  groupSessionsByLanguage(sessions) {
-    if (!sessions || sessions.length === 0) return [];
-
-    // Group sessions by language_id and week
-    const sessionMap = new Map();
-
+  async sendSessionsOneByOne(sessions) {
+    const outcome = { accepted: [], rejected: [], failed: [] };
     for (const session of sessions) {
-      const startTime = new Date(session.start_time);
-      const weekStart = this.getWeekStart(startTime);
-      const key = `${session.language_id}_${weekStart.toISOString()}`;
-
-      if (!sessionMap.has(key)) {
-        sessionMap.set(key, {
-          language_id: session.language_id,
-          start_time: weekStart.toISOString(),
-          end_time: session.end_time,
-          duration: 0,
-          project_name: session.project_name || "Unknown",
-          file_path: session.file_path || "",
-        });
+      try {
+        await this.sendSession(session);
+        outcome.accepted.push(session.client_session_id);
+      } catch (error) {
+        if (this.isRejection(error)) {
+          outcome.rejected.push({
+            id: session.client_session_id,
+            error: this.getErrorMessage(error.response.data),
+          });
+        } else if (error.response) {
+          outcome.failed.push(session.client_session_id);
+        } else {
+          // Without a connection the rest would fail too
+          throw error;
+        }
       }
+    }
+    return outcome;
+  }
 
-      const group = sessionMap.get(key);
-      group.duration += session.duration;
+  /**
+   * Work out what became of each session from a batch response
+   * @param {SessionData[]} sessions - Session data that was sent
+   * @param {Object} data - The response body
+   * @returns {UploadOutcome}
+   * @private
+   */
+  getBatchOutcome(sessions, data) {
+    const outcome = { accepted: [], rejected: [], failed: [] };
 
-      // Keep track of the latest end time
-      const currentEndTime = new Date(group.end_time);
-      const newEndTime = new Date(session.end_time);
-      if (newEndTime > currentEndTime) {
-        group.end_time = session.end_time;
+    // Servers without per-session results store the whole batch or fail it
+    if (!Array.isArray(data?.results)) {
+      outcome.accepted = sessions.map((session) => session.client_session_id);
+      return outcome;
+    }
+
+    const results = new Map(
+      data.results.map((result) => [result.client_session_id, result])
+    );
+    for (const session of sessions) {
+      const id = session.client_session_id;
+      const result = results.get(id);
+
+      if (result && ACCEPTED_STATUSES.includes(result.status)) {
+        outcome.accepted.push(id);
+      } else if (result && result.status === "rejected") {
+        outcome.rejected.push({
+          id,
+          error: result.error || "Rejected by the server",
+        });
+      } else {
+        // Sessions the server didn't mention or failed to store are retried
+        outcome.failed.push(id);
       }
     }
+    return outcome;
+  }
 
-    return Array.from(sessionMap.values());
+  /**
+   * Check if the server permanently rejected a request, so sending it again
+   * won't help
+   * @param {Error} error - The request error
+   * @returns {boolean}
+   */
+  isRejection(error) {
+    return error.response?.status === 400;
   }
 
   /**
-   * Get the start of the week for a given date
-   * @param {Date} date - The date
-   * @returns {Date} - Start of the week (Monday)
+   * Delete a session that was already sent
+   * @param {string} clientSessionId - ID the extension gave the session
+   * @returns {Promise<void>}
    */
-  getWeekStart(date) {
-    const result = new Date(date);
-    const day = result.getDay();
+  async deleteSession(clientSessionId) {
+    try {
+      // Ensure we have the latest API URL
+      this.updateBaseUrl();
 
-    // If Sunday (0), adjust to previous Monday (-6 days)
-    // Otherwise, get the previous Monday
-    const diff = day === 0 ? -6 : 1 - day;
-    result.setDate(result.getDate() + diff);
-    result.setHours(0, 0, 0, 0);
+      await this.axiosInstance.delete(
+        `/coding-sessions/${encodeURIComponent(clientSessionId)}`
+      );
+    } catch (error) {
+      // The session never reached the server
+      if (error.response?.status === 404) return;
+
+      console.error("Failed to delete session:", error.message);
+      throw error;
+    }
+  }
 
-    return result;
+  /**
+   * Delete sessions one request at a time
+   * @param {string[]} clientSessionIds - IDs the extension gave the sessions
+   * @returns {Promise<UploadOutcome>} - What became of each deletion
+   */
+  async deleteSessions(clientSessionIds) {
+    const outcome = { accepted: [], rejected: [], failed: [] };
+    for (const id of clientSessionIds) {
+      try {
+        await this.deleteSession(id);
+        outcome.accepted.push(id);
+      } catch (error) {
+        if (this.isRejection(error)) {
+          outcome.rejected.push({
+            id,
+            error: this.getErrorMessage(error.response.data),
+          });
+        } else if (error.response) {
+          outcome.failed.push(id);
+        } else {
+          // Without a connection the rest would fail too
+          throw error;
+        }
+      }
+    }
+    return outcome;
   }
 
   /**
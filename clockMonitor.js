@@ -0,0 +1,66 @@
+const { performance } = require("perf_hooks");
+
+// Disagreement in seconds between the wall clock and the monotonic clock
+// that we still attribute to timer jitter
+const CLOCK_TOLERANCE = 5;
+
+/**
+ * @typedef {Object} ClockJump
+ * @property {string} direction - "forward" (suspend, clock set ahead) or "backward"
+ * @property {number} wallDelta - Seconds the wall clock moved since the last check
+ * @property {number} monoDelta - Seconds the monotonic clock moved since the last check
+ */
+
+/**
+ * Detects system sleep and wall clock changes between periodic checks
+ */
+class ClockMonitor {
+  constructor() {
+    this.lastWallTime = null;
+    this.lastMonotonicTime = null;
+  }
+
+  /**
+   * Forget the previous check, e.g. when checks haven't been running
+   */
+  reset() {
+    this.lastWallTime = null;
+    this.lastMonotonicTime = null;
+  }
+
+  /**
+   * Compare the clocks with the previous check
+   * @param {number} maxGapSeconds - Longest expected time between two checks
+   * @returns {ClockJump|null} - The detected jump or null if time moved normally
+   */
+  check(maxGapSeconds) {
+    const wallTime = Date.now();
+    const monotonicTime = performance.now();
+
+    if (this.lastWallTime === null) {
+      this.lastWallTime = wallTime;
+      this.lastMonotonicTime = monotonicTime;
+      return null;
+    }
+
+    const wallDelta = (wallTime - this.lastWallTime) / 1000;
+    const monoDelta = (monotonicTime - this.lastMonotonicTime) / 1000;
+
+    this.lastWallTime = wallTime;
+    this.lastMonotonicTime = monotonicTime;
+
+    if (monoDelta - wallDelta > CLOCK_TOLERANCE) {
+      return { direction: "backward", wallDelta, monoDelta };
+    }
+
+    // The monotonic clock stops while suspended on most platforms; where it
+    // doesn't, the checks themselves stop firing
+    if (wallDelta > maxGapSeconds || wallDelta - monoDelta > CLOCK_TOLERANCE) {
+      return { direction: "forward", wallDelta, monoDelta };
+    }
+
+    return null;
+  }
+}
+
+module.exports = new ClockMonitor();
@@ -7,19 +7,65 @@ const { minimatch } = require("minimatch");
 const apiService = require("./apiService");
 const storageService = require("./storageService");
 const languageService = require("./languageService");
+const heartbeatService = require("./heartbeatService");
+const clockMonitor = require("./clockMonitor");
+const windowCoordinator = require("./windowCoordinator");
+const gitService = require("./gitService");
+const ticketService = require("./ticketService");
+const projectService = require("./projectService");
+const projectConfigService = require("./projectConfigService");
+const activityService = require("./activityService");
+const reviewService = require("./reviewService");
+const notebookService = require("./notebookService");
+const insertionService = require("./insertionService");
+const manualEntryService = require("./manualEntryService");
+const focusService = require("./focusService");
+const goalService = require("./goalService");
+const historyService = require("./historyService");
 const Utils = require("./utils");
 const SummaryViewProvider = require("./viewProvider");
 
+// How often to check for idle time and clock jumps
+const ACTIVITY_CHECK_INTERVAL_MS = 10000;
+
+// How often the focus timer countdown is updated
+const FOCUS_TICK_INTERVAL_MS = 1000;
+
+// Checkpoints of running windows are refreshed on every activity check, so
+// anything older than this was left behind by a window that died
+const CHECKPOINT_STALE_MS = 3 * ACTIVITY_CHECK_INTERVAL_MS;
+
+// Where sessions go: to the server only with an API key, never, or to the
+// server once there is an API key
+const MODES = { CLOUD: "cloud", LOCAL: "local", HYBRID: "hybrid" };
+
+// URI schemes of documents that are tracked unless configured otherwise
+const DEFAULT_TRACKED_SCHEMES = ["file", "vscode-remote", "vscode-vfs"];
+
+// Identifies this window's checkpoint, locks and claims
+const instanceId = uuidv4();
+
 // Extension state
 let activeSession = null;
 let lastActivityTime = null;
+let awaySince = null;
+let awayEntity = null;
+let lastEntity = null;
 let activityCheckInterval = null;
 let uploadInterval = null;
+let coordinationInterval = null;
 let statusBarItem = null;
+let focusStatusBarItem = null;
+let focusTickInterval = null;
+let goalStatusText = "";
 let isTracking = false;
 let summaryViewProvider = null;
 let pendingUpload = false;
 let uploadRetryCount = 0;
+const pendingWrites = new Set();
+let hasCheckpoint = false;
+let shuttingDown = false;
+let currentMode = MODES.CLOUD;
 
 /**
  * Activate the extension
@@ -30,10 +76,19 @@ async function activate(context) {
 
   // Initialize services
   storageService.setContext(context);
-  await languageService.initialize();
+  configureOfflineQueue();
+  historyService.initialize(
+    storageService.getStorageDirectory("history"),
+    getHistoryOptions()
+  );
+  projectConfigService.initialize(context);
+  currentMode = getMode();
+  // Local mode doesn't talk to the server at all, not even for languages
+  await languageService.initialize(currentMode !== MODES.LOCAL);
 
   // Create summary view provider
   summaryViewProvider = new SummaryViewProvider(context.extensionUri);
+  loadSummaryFromHistory();
 
   // Register view provider
   context.subscriptions.push(
@@ -43,6 +98,25 @@ async function activate(context) {
     )
   );
 
+  // Elect the window that writes the shared offline queue
+  windowCoordinator.initialize(
+    storageService.getStorageDirectory("coordination"),
+    instanceId
+  );
+  // The lock can expire or be taken over between two renewals
+  storageService.setQueueLockCheck(() => windowCoordinator.holdsQueueLock());
+  if (vscode.window.state.focused) {
+    windowCoordinator.claimFocus();
+  }
+  coordinateWindows();
+  coordinationInterval = setInterval(
+    coordinateWindows,
+    ACTIVITY_CHECK_INTERVAL_MS
+  );
+
+  // Recover sessions from windows that crashed or were killed
+  recoverCheckpoints();
+
   // Create status bar item
   statusBarItem = vscode.window.createStatusBarItem(
     vscode.StatusBarAlignment.Right,
@@ -52,6 +126,17 @@ async function activate(context) {
   updateStatusBar();
   statusBarItem.show();
 
+  // The focus timer countdown sits right next to it and only shows while
+  // the timer runs
+  focusStatusBarItem = vscode.window.createStatusBarItem(
+    vscode.StatusBarAlignment.Right,
+    99
+  );
+  focusStatusBarItem.command = "slopboardTracker.skipFocusPhase";
+
+  // Show the progress towards goals, counting what's still in the queue
+  updateGoals();
+
   // Register commands
   context.subscriptions.push(
     vscode.commands.registerCommand("slopboardTracker.start", startTracking),
@@ -80,16 +165,101 @@ async function activate(context) {
     vscode.commands.registerCommand(
       "slopboardTracker.viewSettings",
       viewSettings
+    ),
+    vscode.commands.registerCommand("slopboardTracker.logTime", logTime),
+    vscode.commands.registerCommand("slopboardTracker.startFocus", startFocus),
+    vscode.commands.registerCommand("slopboardTracker.stopFocus", stopFocus),
+    vscode.commands.registerCommand(
+      "slopboardTracker.skipFocusPhase",
+      skipFocusPhase
+    ),
+    vscode.commands.registerCommand(
+      "slopboardTracker.editSession",
+      editSession
+    ),
+    vscode.commands.registerCommand(
+      "slopboardTracker.deleteSession",
+      deleteSession
+    ),
+    vscode.commands.registerCommand(
+      "slopboardTracker.retryRejectedSessions",
+      retryRejectedSessions
+    ),
+    vscode.commands.registerCommand("slopboardTracker.showReport", showReport),
+    vscode.commands.registerCommand(
+      "slopboardTracker.uploadLocalHistory",
+      uploadLocalHistory
     )
   );
 
   // Set up event listeners
   context.subscriptions.push(
     vscode.workspace.onDidChangeTextDocument(onDocumentChange),
+    vscode.workspace.onDidSaveTextDocument(onDocumentSave),
     vscode.window.onDidChangeActiveTextEditor(onEditorChange),
-    vscode.window.onDidChangeWindowState(onWindowStateChange)
+    vscode.window.onDidChangeTextEditorSelection(onSelectionChange),
+    vscode.window.onDidChangeTextEditorVisibleRanges(onVisibleRangesChange),
+    vscode.window.onDidChangeWindowState(onWindowStateChange),
+    vscode.debug.onDidStartDebugSession(onDebugSessionStart),
+    vscode.debug.onDidTerminateDebugSession(onDebugSessionEnd),
+    vscode.tasks.onDidStartTask(onTaskStart),
+    vscode.tasks.onDidEndTask(onTaskEnd),
+    vscode.window.onDidOpenTerminal(onTerminalActivity),
+    vscode.window.onDidChangeActiveTerminal(onTerminalActivity),
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (
+        event.affectsConfiguration("slopboardTracker.goals") ||
+        event.affectsConfiguration("slopboardTracker.dayStartHour")
+      ) {
+        updateGoals();
+      }
+      if (event.affectsConfiguration("slopboardTracker.mode")) {
+        onModeChange();
+      }
+      if (
+        event.affectsConfiguration("slopboardTracker.historyRetentionDays") ||
+        event.affectsConfiguration("slopboardTracker.dayStartHour")
+      ) {
+        historyService.configure(getHistoryOptions());
+        loadSummaryFromHistory();
+      }
+      if (
+        event.affectsConfiguration("slopboardTracker.offlineQueueMaxSizeMB") ||
+        event.affectsConfiguration("slopboardTracker.offlineQueueMaxAgeDays")
+      ) {
+        configureOfflineQueue();
+      }
+    })
   );
 
+  // Events from newer VS Code versions
+  if (vscode.debug.onDidChangeActiveStackItem) {
+    context.subscriptions.push(
+      vscode.debug.onDidChangeActiveStackItem(onDebugStep)
+    );
+  }
+  if (vscode.window.onDidChangeTerminalState) {
+    context.subscriptions.push(
+      vscode.window.onDidChangeTerminalState(onTerminalActivity)
+    );
+  }
+  if (vscode.window.onDidChangeActiveNotebookEditor) {
+    context.subscriptions.push(
+      vscode.window.onDidChangeActiveNotebookEditor(onNotebookEditorChange),
+      vscode.window.onDidChangeNotebookEditorSelection(
+        onNotebookSelectionChange
+      ),
+      vscode.workspace.onDidChangeNotebookDocument(onNotebookChange),
+      vscode.workspace.onDidSaveNotebookDocument(onNotebookSave)
+    );
+  }
+  if (vscode.window.onDidStartTerminalShellExecution) {
+    context.subscriptions.push(
+      vscode.window.onDidStartTerminalShellExecution(onTerminalCommandStart),
+      vscode.window.onDidEndTerminalShellExecution(onTerminalCommandEnd)
+    );
+  }
+
   // Start tracking if enabled
   const config = vscode.workspace.getConfiguration("slopboardTracker");
   if (config.get("enabled")) {
@@ -105,9 +275,39 @@ async function activate(context) {
 
 /**
  * Deactivate the extension
+ * @returns {Promise} - Resolves when pending writes have been flushed
  */
-function deactivate() {
+async function deactivate() {
+  // Don't wait on the network while the host is shutting down
+  shuttingDown = true;
   stopTracking();
+
+  if (coordinationInterval) {
+    clearInterval(coordinationInterval);
+    coordinationInterval = null;
+  }
+
+  if (focusTickInterval) {
+    clearInterval(focusTickInterval);
+    focusTickInterval = null;
+  }
+
+  await Promise.allSettled(pendingWrites);
+  windowCoordinator.release();
+}
+
+/**
+ * Renew the queue lock and give up the open slice if another window took focus
+ */
+function coordinateWindows() {
+  storageService.setQueueWriter(windowCoordinator.tryAcquireQueueLock());
+
+  if (
+    heartbeatService.hasPendingHeartbeats() &&
+    !windowCoordinator.ownsFocus()
+  ) {
+    flushActivity(true);
+  }
 }
 
 /**
@@ -130,6 +330,14 @@ function updateStatusBar() {
     statusBarItem.text = "$(clock) Not Tracking";
     statusBarItem.tooltip = "Slopboard Tracker is paused";
   }
+
+  if (getMode() === MODES.LOCAL) {
+    statusBarItem.tooltip += " (local mode, nothing is uploaded)";
+  }
+
+  if (goalStatusText) {
+    statusBarItem.text += ` ${goalStatusText}`;
+  }
 }
 
 /**
@@ -154,16 +362,20 @@ function toggleTracking() {
 function startTracking() {
   if (isTracking) return;
 
+  // Only cloud mode needs the server to keep sessions
   const config = vscode.workspace.getConfiguration("slopboardTracker");
-  if (!config.get("apiKey")) {
+  if (getMode() === MODES.CLOUD && !config.get("apiKey")) {
     vscode.window
       .showWarningMessage(
-        "Please set your API key to enable time tracking.",
-        "Set API Key"
+        "Please set your API key to enable time tracking, or use local mode to keep your stats on this machine only.",
+        "Set API Key",
+        "Use Local Mode"
       )
       .then((selection) => {
         if (selection === "Set API Key") {
           setApiKey();
+        } else if (selection === "Use Local Mode") {
+          config.update("mode", MODES.LOCAL, true);
         }
       });
     return;
@@ -171,24 +383,22 @@ function startTracking() {
 
   isTracking = true;
   lastActivityTime = new Date();
+  clockMonitor.reset();
 
   // Start checking for idle time
   const idleThreshold = config.get("idleThreshold");
   activityCheckInterval = setInterval(
     () => checkActivity(idleThreshold),
-    10000
+    ACTIVITY_CHECK_INTERVAL_MS
   );
 
   // Set up interval for uploading sessions
   const uploadIntervalSecs = config.get("uploadInterval");
   setupUploadInterval(uploadIntervalSecs);
 
-  // Start a session if an editor is already active and auto-tracking is enabled
-  if (
-    vscode.window.activeTextEditor &&
-    shouldTrackDocument(vscode.window.activeTextEditor.document)
-  ) {
-    startSession(vscode.window.activeTextEditor.document);
+  // Record a heartbeat if an editor is already active and auto-tracking is enabled
+  if (vscode.window.activeTextEditor) {
+    recordActivity("focus", vscode.window.activeTextEditor.document);
   }
 
   updateStatusBar();
@@ -213,10 +423,9 @@ function stopTracking() {
     uploadInterval = null;
   }
 
-  // End the current session if one exists
-  if (activeSession) {
-    endSession();
-  }
+  // Close the open slice at its last heartbeat
+  flushActivity(true);
+  awaySince = null;
 
   updateStatusBar();
   vscode.window.showInformationMessage("Slopboard Tracker has stopped");
@@ -259,14 +468,50 @@ async function setApiKey() {
  * @param {vscode.TextDocumentChangeEvent} event
  */
 function onDocumentChange(event) {
-  if (!isTracking) return;
+  // Dirty state changes fire without any content changes
+  if (event.contentChanges.length === 0) return;
 
-  lastActivityTime = new Date();
+  // Output channels change all the time, don't read the clipboard for them
+  if (!isTracking || !shouldTrackDocument(event.document)) return;
 
-  // If we don't have an active session, create one
-  if (!activeSession && shouldTrackDocument(event.document)) {
-    startSession(event.document);
+  const metrics = Utils.measureChanges(event.contentChanges, event.reason);
+  if (!insertionService.needsClipboard(event)) {
+    recordEdit(event, metrics, null);
+    return;
   }
+
+  // The clipboard can only be read asynchronously, so possible pastes are
+  // recorded a moment later
+  vscode.env.clipboard.readText().then(
+    (clipboard) => recordEdit(event, metrics, clipboard),
+    () => recordEdit(event, metrics, null)
+  );
+}
+
+/**
+ * Record an edit heartbeat with its metrics and the source of its insertions
+ * @param {vscode.TextDocumentChangeEvent} event
+ * @param {Object} metrics - Edit metrics of the change
+ * @param {string|null} clipboard - Clipboard content, if it was read
+ */
+function recordEdit(event, metrics, clipboard) {
+  const config = vscode.workspace.getConfiguration("slopboardTracker");
+  const sources = insertionService.classify(event, {
+    clipboard,
+    largeInsertThreshold: config.get("largeInsertThreshold", 100),
+  });
+
+  recordActivity("edit", event.document, {
+    metrics: { ...metrics, ...sources },
+  });
+}
+
+/**
+ * Handler for document saves
+ * @param {vscode.TextDocument} document
+ */
+function onDocumentSave(document) {
+  recordActivity("save", document, { metrics: { saves: 1 } });
 }
 
 /**
@@ -274,19 +519,31 @@ function onDocumentChange(event) {
  * @param {vscode.TextEditor} editor
  */
 function onEditorChange(editor) {
-  if (!isTracking || !editor) return;
+  if (!editor) return;
 
-  lastActivityTime = new Date();
+  recordActivity("focus", editor.document);
+}
 
-  // End current session if we have one
-  if (activeSession) {
-    endSession();
-  }
+/**
+ * Handler for cursor and selection changes. Selections made by commands
+ * rather than the keyboard or mouse come from going to definitions,
+ * references or symbols, which is navigating the code.
+ * @param {vscode.TextEditorSelectionChangeEvent} event
+ */
+function onSelectionChange(event) {
+  const type =
+    event.kind === vscode.TextEditorSelectionChangeKind.Command
+      ? "navigate"
+      : "cursor";
+  recordActivity(type, event.textEditor.document);
+}
 
-  // Start new session if we should track this document
-  if (shouldTrackDocument(editor.document)) {
-    startSession(editor.document);
-  }
+/**
+ * Handler for scrolling in an editor
+ * @param {vscode.TextEditorVisibleRangesChangeEvent} event
+ */
+function onVisibleRangesChange(event) {
+  recordActivity("scroll", event.textEditor.document);
 }
 
 /**
@@ -294,26 +551,162 @@ function onEditorChange(editor) {
  * @param {vscode.WindowState} state
  */
 function onWindowStateChange(state) {
+  if (state.focused) {
+    windowCoordinator.claimFocus();
+
+    // Pick up the sessions other windows completed in the meantime
+    loadSummaryFromHistory();
+    updateGoals();
+  }
+
   if (!isTracking) return;
 
   if (state.focused) {
     // Window gained focus
-    lastActivityTime = new Date();
-
-    // Start a new session if appropriate
-    if (
-      !activeSession &&
-      vscode.window.activeTextEditor &&
-      shouldTrackDocument(vscode.window.activeTextEditor.document)
-    ) {
-      startSession(vscode.window.activeTextEditor.document);
+    if (vscode.window.activeTextEditor) {
+      recordActivity("focus", vscode.window.activeTextEditor.document);
     }
   } else {
-    // Window lost focus
-    if (activeSession) {
-      endSession();
-    }
+    // Window lost focus, nothing after the last heartbeat counts
+    flushActivity(true);
+  }
+}
+
+/**
+ * Handler for active notebook editor changes
+ * @param {vscode.NotebookEditor} editor
+ */
+function onNotebookEditorChange(editor) {
+  if (!editor) return;
+
+  recordNotebookActivity("focus", notebookService.getSelectedCell(editor));
+}
+
+/**
+ * Handler for cell selection changes in a notebook editor
+ * @param {vscode.NotebookEditorSelectionChangeEvent} event
+ */
+function onNotebookSelectionChange(event) {
+  recordNotebookActivity(
+    "cursor",
+    notebookService.getSelectedCell(event.notebookEditor)
+  );
+}
+
+/**
+ * Handler for notebook changes: cells added, removed, edited or run. Only
+ * changes to the cells themselves are writing; outputs and execution states
+ * of running cells count like watching a running task.
+ * @param {vscode.NotebookDocumentChangeEvent} event
+ */
+function onNotebookChange(event) {
+  const edit = event.cellChanges.find((change) => change.document);
+  if (edit || event.contentChanges.length > 0) {
+    recordNotebookActivity(
+      "edit",
+      edit ? edit.cell : notebookService.getEditorCell(event.notebook)
+    );
+    return;
   }
+
+  // Outputs of long running cells also stream in while the user is away
+  if (event.cellChanges.length === 0 || !vscode.window.state.focused) return;
+  recordNotebookActivity("ongoing", event.cellChanges[0].cell);
+}
+
+/**
+ * Handler for notebook saves, credited to the cell selected in its editor
+ * @param {vscode.NotebookDocument} notebook
+ */
+function onNotebookSave(notebook) {
+  recordNotebookActivity("save", notebookService.getEditorCell(notebook), {
+    saves: 1,
+  });
+}
+
+/**
+ * Record an activity heartbeat for a notebook through one of its cells
+ * @param {string} type - Kind of activity
+ * @param {vscode.NotebookCell|null} cell - The cell being worked on
+ * @param {Object} [metrics] - Edit metrics of the activity
+ */
+function recordNotebookActivity(type, cell, metrics) {
+  if (!cell) return;
+
+  recordActivity(type, cell.document, { metrics });
+}
+
+/**
+ * Handler for debug sessions starting
+ * @param {vscode.DebugSession} session
+ */
+function onDebugSessionStart(session) {
+  activityService.startDebugSession(session);
+  recordContextActivity("debug", activityService.CATEGORIES.DEBUGGING);
+}
+
+/**
+ * Handler for debug sessions ending
+ * @param {vscode.DebugSession} session
+ */
+function onDebugSessionEnd(session) {
+  activityService.endDebugSession(session);
+  recordContextActivity("debug", activityService.CATEGORIES.DEBUGGING);
+}
+
+/**
+ * Handler for the debugger pausing, stepping or switching frames
+ */
+function onDebugStep() {
+  if (!activityService.isDebugging()) return;
+
+  recordContextActivity("debug", activityService.CATEGORIES.DEBUGGING);
+}
+
+/**
+ * Handler for tasks starting
+ * @param {vscode.TaskStartEvent} event
+ */
+function onTaskStart(event) {
+  activityService.startTask(event.execution);
+  recordContextActivity("task", activityService.CATEGORIES.RUNNING_TASKS);
+}
+
+/**
+ * Handler for tasks ending
+ * @param {vscode.TaskEndEvent} event
+ */
+function onTaskEnd(event) {
+  activityService.endTask(event.execution);
+  recordContextActivity("task", activityService.CATEGORIES.RUNNING_TASKS);
+}
+
+/**
+ * Handler for terminals being opened, focused or typed in
+ * @param {vscode.Terminal} terminal
+ */
+function onTerminalActivity(terminal) {
+  if (!terminal) return;
+
+  recordContextActivity("terminal", activityService.CATEGORIES.TERMINAL);
+}
+
+/**
+ * Handler for commands starting in a terminal with shell integration
+ * @param {Object} event - The terminal shell execution start event
+ */
+function onTerminalCommandStart(event) {
+  activityService.startTerminalCommand(event.execution);
+  recordContextActivity("terminal", activityService.CATEGORIES.TERMINAL);
+}
+
+/**
+ * Handler for commands ending in a terminal with shell integration
+ * @param {Object} event - The terminal shell execution end event
+ */
+function onTerminalCommandEnd(event) {
+  activityService.endTerminalCommand(event.execution);
+  recordContextActivity("terminal", activityService.CATEGORIES.TERMINAL);
 }
 
 /**
@@ -322,7 +715,16 @@ function onWindowStateChange(state) {
  * @returns {boolean}
  */
 function shouldTrackDocument(document) {
-  if (!document || document.isUntitled || document.uri.scheme !== "file") {
+  if (!document || document.isUntitled) {
+    return false;
+  }
+
+  // Remote and virtual workspaces use their own schemes
+  const uri = getFileUri(document);
+  const trackedSchemes = vscode.workspace
+    .getConfiguration("slopboardTracker")
+    .get("trackedSchemes", DEFAULT_TRACKED_SCHEMES);
+  if (!uri || !trackedSchemes.includes(uri.scheme)) {
     return false;
   }
 
@@ -342,11 +744,8 @@ function shouldTrackDocument(document) {
   const excludedProjects = config.get("excludedProjects", []);
   const excludedFiles = config.get("excludedFiles", []);
 
-  const filePath = document.uri.fsPath;
-  const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
-  const projectName = workspaceFolder
-    ? path.basename(workspaceFolder.uri.fsPath)
-    : "unknown";
+  const filePath = getFullPath(uri);
+  const projectName = projectService.resolveProject(uri);
 
   // Check if project is excluded
   if (excludedProjects.includes(projectName)) {
@@ -360,138 +759,1206 @@ function shouldTrackDocument(document) {
     }
   }
 
+  // Check the excludes committed in the project's .slopboard.json
+  if (projectConfigService.isExcluded(uri, getRelativePath(uri))) {
+    return false;
+  }
+
   return true;
 }
 
 /**
- * Start a new coding session
+ * Get the URI of the workspace file a document shows. Notebook cells belong to
+ * the notebook file, and diffs, merge inputs and pull request views show a
+ * version of a file under their own scheme.
  * @param {vscode.TextDocument} document
+ * @returns {vscode.Uri|null} - The file URI, or null if there is none
  */
-function startSession(document) {
-  if (activeSession) {
-    endSession();
+function getFileUri(document) {
+  if (notebookService.isCell(document.uri)) {
+    const cell = notebookService.findCell(document.uri);
+    return cell ? cell.notebook.uri : null;
   }
 
-  const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
-  const projectName = workspaceFolder
-    ? path.basename(workspaceFolder.uri.fsPath)
-    : "unknown";
-  const filePath = document.uri.fsPath;
-  const relativePath = workspaceFolder
-    ? path.relative(workspaceFolder.uri.fsPath, filePath)
-    : filePath;
+  if (!reviewService.isReviewScheme(document.uri)) return document.uri;
+
+  return reviewService.getFileUri(document.uri);
+}
+
+/**
+ * Get the path of a file relative to its workspace folder. Works on the URI
+ * paths, so files in remote and virtual workspaces get the same result.
+ * @param {vscode.Uri} uri
+ * @returns {string} - Relative path with forward slashes, or the full path
+ * outside of a workspace
+ */
+function getRelativePath(uri) {
+  const workspaceFolder = vscode.workspace.getWorkspaceFolder(uri);
+  return workspaceFolder
+    ? path.posix.relative(workspaceFolder.uri.path, uri.path)
+    : getFullPath(uri);
+}
+
+/**
+ * Get the full path of a file
+ * @param {vscode.Uri} uri
+ * @returns {string} - Platform path for local files, the URI path otherwise
+ */
+function getFullPath(uri) {
+  return uri.scheme === "file" ? uri.fsPath : uri.path;
+}
 
+/**
+ * Describe the entity that time spent on a document is credited to
+ * @param {vscode.TextDocument} document
+ * @returns {Object} - Entity with language, project, file, git, ticket, project configuration and remote attribution
+ */
+function describeDocument(document) {
+  const uri = getFileUri(document);
+  const projectName = projectService.resolveProject(uri);
+  const projectConfig = projectConfigService.getConfig(uri);
+  const filePath = getFullPath(uri);
+  const relativePath = getRelativePath(uri);
+
+  const languageOverride = projectConfigService.getLanguageOverride(
+    uri,
+    relativePath
+  );
+  // Notebook cells are credited to the language of the kernel, and to the
+  // kind of cell if notebook time is split by cell kind
+  const cell = notebookService.isCell(document.uri)
+    ? notebookService.findCell(document.uri)
+    : null;
   const language = languageService.detectLanguage(
     filePath,
-    document.languageId
+    languageOverride ||
+      (cell && notebookService.getKernelLanguage(cell.notebook)) ||
+      document.languageId
   );
 
-  activeSession = {
-    id: uuidv4(),
+  const config = vscode.workspace.getConfiguration("slopboardTracker");
+  const git = config.get("trackGitInfo", true)
+    ? gitService.getInfo(uri)
+    : { branch: null, commit: null, remoteUrl: null };
+
+  // Ticket settings can differ per workspace folder
+  const resourceConfig = vscode.workspace.getConfiguration(
+    "slopboardTracker",
+    uri
+  );
+  const commitMessage = resourceConfig.get("ticketFromCommitMessage", false)
+    ? gitService.getCommitMessage(uri, git.commit)
+    : null;
+  const ticket = ticketService.extractTicket(
+    [git.branch, commitMessage],
+    resourceConfig.get("ticketPatterns", [])
+  );
+
+  return {
     language,
     projectName,
     filePath: relativePath,
-    startTime: new Date(),
-    endTime: null,
-    duration: 0,
+    cellKind:
+      cell && config.get("splitNotebookCells", false)
+        ? notebookService.getCellKind(cell)
+        : null,
+    branch: git.branch,
+    commit: git.commit,
+    remoteUrl: git.remoteUrl,
+    ticket,
+    ticketUrl: ticketService.getTicketUrl(
+      ticket,
+      resourceConfig.get("ticketUrlTemplate", "")
+    ),
+    tags: projectConfig.tags || [],
+    client: projectConfig.client || null,
+    billingCode: projectConfig.billingCode || null,
+    remoteKind: vscode.env.remoteName || "local",
   };
+}
 
-  // Update the summary view with the active session
-  if (summaryViewProvider) {
-    summaryViewProvider.setActiveSession(activeSession);
+/**
+ * Record an activity heartbeat for a document
+ * @param {string} type - Kind of activity ("edit", "focus", "save", "cursor", "scroll" or "navigate")
+ * @param {vscode.TextDocument} document
+ * @param {Object} [options]
+ * @param {string} [options.category] - Activity category, by default reviewing, debugging or coding
+ * @param {Object} [options.metrics] - Edit metrics of the activity
+ */
+function recordActivity(type, document, { category, metrics } = {}) {
+  if (!isTracking || !shouldTrackDocument(document)) return;
+
+  if (!category) {
+    category = reviewService.isReviewing(document)
+      ? activityService.CATEGORIES.REVIEWING
+      : activityService.getEditorCategory();
   }
+
+  recordHeartbeat(type, { ...describeDocument(document), category }, metrics);
 }
 
 /**
- * End the current session and save it
+ * Record a heartbeat for activity outside of the text editor, such as
+ * debugging, tasks and terminals. The time is credited to the file in view,
+ * or the file worked on last if no tracked file is in view.
+ * @param {string} type - Kind of activity ("debug", "task", "terminal" or "ongoing")
+ * @param {string} category - Activity category
  */
-function endSession() {
-  if (!activeSession) return;
+function recordContextActivity(type, category) {
+  // Tasks and debug sessions also report events while the user is elsewhere
+  if (!isTracking || !vscode.window.state.focused) return;
+
+  const editor = vscode.window.activeTextEditor;
+  if (editor && shouldTrackDocument(editor.document)) {
+    recordActivity(type, editor.document, { category });
+  } else if (lastEntity) {
+    recordHeartbeat(type, { ...lastEntity, category });
+  }
+}
 
-  const now = new Date();
-  activeSession.endTime = now;
-  activeSession.duration = Math.floor((now - activeSession.startTime) / 1000);
+/**
+ * Record a heartbeat for an entity
+ * @param {string} type - Kind of activity
+ * @param {Object} entity - What was being worked on
+ * @param {Object} [metrics] - Edit metrics of the activity
+ */
+function recordHeartbeat(type, entity, metrics) {
+  // Another window was focused more recently and owns the open session
+  if (!windowCoordinator.ownsFocus()) return;
 
-  const config = vscode.workspace.getConfiguration("slopboardTracker");
-  const minDuration = config.get("minSessionDuration", 5);
+  if (isPausedForBreak()) return;
 
-  // Only save sessions that have a meaningful duration
-  if (activeSession.duration >= minDuration) {
-    saveSession(activeSession);
+  detectClockJump();
 
-    // Update the summary view with the completed session
-    if (summaryViewProvider) {
-      summaryViewProvider.addCompletedSession(activeSession);
-    }
+  const now = new Date();
+
+  // Coming back after the open slice was closed for inactivity
+  if (awaySince) {
+    const awayStart = awaySince;
+    awaySince = null;
+    promptAwayTime(awayStart, now, awayEntity);
   }
 
-  activeSession = null;
+  lastActivityTime = now;
+  lastEntity = entity;
+  heartbeatService.record(type, entity, lastActivityTime, metrics);
 
-  // Update the summary view to clear active session
-  if (summaryViewProvider) {
-    summaryViewProvider.setActiveSession(null);
+  updateActiveSession();
+}
+
+/**
+ * Ask the user what to do with time spent away from the editor
+ * @param {Date} startTime - Last activity before going idle
+ * @param {Date} endTime - First activity after returning
+ * @param {Object} entity - Entity that was being worked on before going idle
+ */
+async function promptAwayTime(startTime, endTime, entity) {
+  const config = vscode.workspace.getConfiguration("slopboardTracker");
+  const duration = Math.floor((endTime - startTime) / 1000);
+
+  if (!config.get("promptOnReturn", true) || !entity) return;
+  if (duration < config.get("idleThreshold", 120)) return;
+
+  const selection = await vscode.window.showInformationMessage(
+    `You were away for ${Utils.formatDuration(
+      duration
+    )}. Keep, discard, or assign it to a project or meeting?`,
+    "Keep",
+    "Discard",
+    "Assign..."
+  );
+
+  let awayEntity = null;
+  if (selection === "Keep") {
+    awayEntity = entity;
+  } else if (selection === "Assign...") {
+    awayEntity = await pickAwayEntity(entity);
   }
+
+  if (!awayEntity) return;
+
+  completeSession({
+    id: uuidv4(),
+    ...awayEntity,
+    startTime,
+    endTime,
+    duration,
+  });
 }
 
 /**
- * Save a session by sending it to the API or storing it locally
- * @param {Object} session
+ * Let the user pick a project or meeting to credit away time to
+ * @param {Object} entity - Entity that was being worked on before going idle
+ * @returns {Promise<Object|null>} - Entity to credit the time to, or null if cancelled
  */
-async function saveSession(session) {
-  try {
-    await sendSession(session);
-  } catch (error) {
-    console.error("Failed to send session:", error);
+async function pickAwayEntity(entity) {
+  const items = [
+    {
+      label: "Meeting",
+      description: `in ${entity.projectName}`,
+      meeting: true,
+    },
+    ...getKnownProjectNames([entity.projectName]).map((projectName) => ({
+      label: projectName,
+    })),
+    { label: "Other project...", other: true },
+  ];
 
-    // Store session for later transmission
-    await storageService.addOfflineSession(session);
+  const selected = await vscode.window.showQuickPick(items, {
+    placeHolder: "Assign the time you were away to",
+  });
+  if (!selected) return null;
+
+  if (selected.meeting) {
+    return {
+      ...entity,
+      language: languageService.detectLanguage(null, "Meeting"),
+      filePath: "",
+    };
+  }
 
-    // Show notification for first offline session
-    if (storageService.getOfflineSessionCount() === 1) {
-      vscode.window.showInformationMessage(
-        "Session saved offline. It will be sent when connection is restored."
-      );
+  const projectName = selected.other
+    ? await vscode.window.showInputBox({ prompt: "Enter a project name" })
+    : selected.label;
+  if (!projectName) return null;
+
+  return { ...entity, projectName, filePath: "" };
+}
+
+/**
+ * Get the names of the open projects and the projects of recent sessions
+ * @param {string[]} [first] - Names to list first
+ * @returns {string[]} - Project names without duplicates
+ */
+function getKnownProjectNames(first = []) {
+  const projectNames = new Set(first);
+  for (const folder of vscode.workspace.workspaceFolders || []) {
+    projectNames.add(projectService.resolveProject(folder.uri));
+  }
+  if (summaryViewProvider) {
+    for (const session of summaryViewProvider.completedSessions) {
+      projectNames.add(session.projectName);
     }
   }
+  return Array.from(projectNames).filter(Boolean);
 }
 
 /**
- * Send a session to the API
- * @param {Object} session
- * @returns {Promise}
+ * Let the user pick a project
+ * @param {Object} options
+ * @param {string} options.title - Title of the quick input
+ * @param {string} [options.current] - Project to list first
+ * @returns {Promise<string|undefined>} - The project name, undefined if cancelled
  */
-async function sendSession(session) {
-  // Format the session data according to our database schema
-  const sessionData = {
-    language_id: session.language.id,
-    start_time: session.startTime.toISOString(),
-    end_time: session.endTime.toISOString(),
-    duration: session.duration,
-    project_name: session.projectName,
-    file_path: session.filePath,
-  };
-
-  // Send the data to the API
-  return apiService.sendSession(sessionData);
+async function pickProjectName({ title, current }) {
+  const selected = await vscode.window.showQuickPick(
+    [
+      ...getKnownProjectNames(current ? [current] : []).map((projectName) => ({
+        label: projectName,
+      })),
+      { label: "Other project...", other: true },
+    ],
+    { title, placeHolder: "Project" }
+  );
+  if (!selected) return undefined;
+
+  return selected.other
+    ? (await vscode.window.showInputBox({
+        title,
+        prompt: "Enter a project name",
+      })) || undefined
+    : selected.label;
 }
 
 /**
- * Send offline sessions in efficient batches
+ * Let the user pick a language
+ * @param {Object} options
+ * @param {string} options.title - Title of the quick input
+ * @param {Object} [options.current] - Language to list first
+ * @returns {Promise<Object|undefined>} - The language, undefined if cancelled
  */
-async function sendOfflineSessions() {
-  if (!storageService.hasOfflineSessions() || pendingUpload) return;
-
-  pendingUpload = true;
+async function pickLanguage({ title, current }) {
+  const languages = languageService
+    .getAllLanguages()
+    .filter((language) => !current || language.id !== current.id);
+  const selected = await vscode.window.showQuickPick(
+    [
+      ...(current ? [current] : []),
+      ...languages,
+      { name: "Other language...", other: true },
+    ].map((language) => ({ label: language.name, language })),
+    { title, placeHolder: "Language" }
+  );
+  if (!selected) return undefined;
 
-  try {
-    const config = vscode.workspace.getConfiguration("slopboardTracker");
-    const apiKey = config.get("apiKey");
+  if (!selected.language.other) return selected.language;
 
-    if (!apiKey) {
-      pendingUpload = false;
+  const name = await vscode.window.showInputBox({
+    title,
+    prompt: "Enter a language name",
+  });
+  return name ? languageService.detectLanguage(null, name) : undefined;
+}
+
+/**
+ * Let the user pick an activity category
+ * @param {Object} options
+ * @param {string} options.title - Title of the quick input
+ * @param {string} [options.current] - Category to list first
+ * @returns {Promise<string|undefined>} - The category, undefined if cancelled
+ */
+async function pickCategory({ title, current }) {
+  const categories = Object.values(activityService.CATEGORIES).sort(
+    (a, b) => (b === current) - (a === current)
+  );
+  const selected = await vscode.window.showQuickPick(
+    categories.map((category) => ({
+      label: activityService.getCategoryLabel(category),
+      category,
+    })),
+    { title, placeHolder: "Activity" }
+  );
+  return selected ? selected.category : undefined;
+}
+
+/**
+ * Log time that wasn't tracked, e.g. work away from the editor. The entry
+ * is saved and uploaded like a tracked session.
+ */
+async function logTime() {
+  const step = (number) => `Log Time (${number}/5)`;
+
+  const projectName = await pickProjectName({ title: step(1) });
+  if (!projectName) return;
+
+  const language = await pickLanguage({ title: step(2) });
+  if (!language) return;
+
+  const category = await pickCategory({ title: step(3) });
+  if (!category) return;
+
+  const period = await vscode.window.showInputBox({
+    title: step(4),
+    prompt:
+      "When? A range of times like 9:00-10:30, or a duration like 1h 30m that ends now",
+    validateInput: (value) =>
+      manualEntryService.parsePeriod(value, new Date())
+        ? null
+        : "Enter a range like 9:00-10:30 or a duration like 45m",
+  });
+  if (!period) return;
+  const { startTime, endTime } = manualEntryService.parsePeriod(
+    period,
+    new Date()
+  );
+
+  const note = await vscode.window.showInputBox({
+    title: step(5),
+    prompt: "Note (optional)",
+  });
+  if (note === undefined) return;
+
+  completeSession(
+    manualEntryService.createSession({
+      language,
+      projectName,
+      category,
+      startTime,
+      endTime,
+      note,
+    })
+  );
+
+  vscode.window.showInformationMessage(
+    `Logged ${Utils.formatDuration(
+      Math.round((endTime - startTime) / 1000)
+    )} for ${projectName}`
+  );
+}
+
+/**
+ * Let the user pick one of the recent sessions
+ * @param {string} [id] - ID of the session if it was already chosen, e.g. in the summary view
+ * @param {string} placeHolder - Prompt of the quick pick
+ * @returns {Promise<Object|undefined>} - The session, undefined if cancelled
+ */
+async function pickRecentSession(id, placeHolder) {
+  const sessions = summaryViewProvider
+    ? summaryViewProvider.completedSessions
+    : [];
+  if (id) {
+    return sessions.find((session) => session.id === id);
+  }
+
+  if (sessions.length === 0) {
+    vscode.window.showInformationMessage("There are no recent sessions");
+    return undefined;
+  }
+
+  const selected = await vscode.window.showQuickPick(
+    sessions.map((session) => ({
+      label: `${session.projectName} · ${session.language.name}`,
+      description: Utils.formatDuration(session.duration),
+      detail: `${new Date(
+        session.startTime
+      ).toLocaleString()} · ${activityService.getCategoryLabel(
+        session.category
+      )}`,
+      session,
+    })),
+    { placeHolder }
+  );
+  return selected ? selected.session : undefined;
+}
+
+/**
+ * Edit one of the recent sessions: move it to another project, language or
+ * activity, trim it or change its note
+ * @param {string} [id] - ID of the session, asked for if not given
+ */
+async function editSession(id) {
+  const session = await pickRecentSession(id, "Select a session to edit");
+  if (!session) return;
+
+  const title = "Edit Session";
+  const field = await vscode.window.showQuickPick(
+    [
+      { label: "Project", description: session.projectName, field: "project" },
+      {
+        label: "Language",
+        description: session.language.name,
+        field: "language",
+      },
+      {
+        label: "Activity",
+        description: activityService.getCategoryLabel(session.category),
+        field: "category",
+      },
+      {
+        label: "Time",
+        description: `${formatTimeOfDay(session.startTime)}-${formatTimeOfDay(
+          session.endTime
+        )}`,
+        field: "time",
+      },
+      { label: "Note", description: session.note || "", field: "note" },
+    ],
+    { title, placeHolder: "What do you want to change?" }
+  );
+  if (!field) return;
+
+  let edited = null;
+  if (field.field === "project") {
+    const projectName = await pickProjectName({
+      title,
+      current: session.projectName,
+    });
+    // The file belongs to the old project
+    if (projectName) edited = { ...session, projectName, filePath: "" };
+  } else if (field.field === "language") {
+    const language = await pickLanguage({ title, current: session.language });
+    if (language) edited = { ...session, language };
+  } else if (field.field === "category") {
+    const category = await pickCategory({ title, current: session.category });
+    if (category) edited = { ...session, category };
+  } else if (field.field === "time") {
+    const startTime = new Date(session.startTime);
+    const endTime = new Date(session.endTime);
+    const trim = (value) => {
+      const range = manualEntryService.parseRange(value, startTime, endTime);
+      return range
+        ? manualEntryService.trimSession(
+            session,
+            range.startTime,
+            range.endTime
+          )
+        : null;
+    };
+    const range = await vscode.window.showInputBox({
+      title,
+      prompt: "Trim the session to a shorter range of times",
+      value: field.description,
+      validateInput: (value) =>
+        trim(value) ? null : `Enter a range within ${field.description}`,
+    });
+    if (range) edited = trim(range);
+  } else {
+    const note = await vscode.window.showInputBox({
+      title,
+      prompt: "Note",
+      value: session.note || "",
+    });
+    if (note !== undefined) edited = { ...session, note: note || null };
+  }
+  if (!edited) return;
+
+  // A correction gets its own idempotency key, so the server doesn't take it
+  // for a repeat of the original upload
+  edited = { ...edited, revision: (session.revision || 0) + 1 };
+
+  // Corrections go through the offline queue, where they replace the original
+  // if it wasn't uploaded yet and are ordered after it if it was. Sessions
+  // recorded in local mode are only in the history.
+  if (!edited.localOnly) {
+    await storageService.addOfflineSession(edited);
+  }
+  historyService.add(edited);
+  summaryViewProvider.replaceSession(edited);
+  updateGoals();
+  sendOfflineSessions();
+}
+
+/**
+ * Delete one of the recent sessions
+ * @param {string} [id] - ID of the session, asked for if not given
+ */
+async function deleteSession(id) {
+  const session = await pickRecentSession(id, "Select a session to delete");
+  if (!session) return;
+
+  const confirmation = await vscode.window.showWarningMessage(
+    `Delete ${Utils.formatDuration(session.duration)} of ${
+      session.language.name
+    } in ${session.projectName}?`,
+    { modal: true },
+    "Delete"
+  );
+  if (confirmation !== "Delete") return;
+
+  if (!session.localOnly) {
+    await storageService.addOfflineDeletion(session.id);
+  }
+  historyService.remove(session.id);
+  summaryViewProvider.removeSession(session.id);
+  updateGoals();
+  sendOfflineSessions();
+}
+
+/**
+ * Get the lengths of the focus timer phases from the settings
+ * @returns {Object} - Lengths in minutes and the number of focus intervals
+ * before a long break
+ */
+function getFocusLengths() {
+  const config = vscode.workspace.getConfiguration("slopboardTracker");
+  return {
+    workMinutes: config.get("focusWorkMinutes", 25),
+    breakMinutes: config.get("focusBreakMinutes", 5),
+    longBreakMinutes: config.get("focusLongBreakMinutes", 15),
+    longBreakInterval: config.get("focusLongBreakInterval", 4),
+  };
+}
+
+/**
+ * Start the focus timer with a focus interval
+ */
+function startFocus() {
+  if (focusService.isRunning()) {
+    vscode.window.showInformationMessage("The focus timer is already running");
+    return;
+  }
+
+  onFocusPhaseChange(focusService.start(new Date(), getFocusLengths()));
+
+  focusTickInterval = setInterval(() => {
+    const change = focusService.tick(new Date());
+    if (change) {
+      onFocusPhaseChange(change);
+    } else {
+      updateFocusStatusBar();
+    }
+  }, FOCUS_TICK_INTERVAL_MS);
+}
+
+/**
+ * Stop the focus timer
+ */
+function stopFocus() {
+  const change = focusService.stop(new Date());
+  if (!change) return;
+
+  clearInterval(focusTickInterval);
+  focusTickInterval = null;
+  onFocusPhaseChange(change);
+}
+
+/**
+ * End the current focus interval or break early and start the next phase
+ */
+function skipFocusPhase() {
+  const change = focusService.skip(new Date());
+  if (change) {
+    onFocusPhaseChange(change);
+  }
+}
+
+/**
+ * Announce a focus timer phase change and pause or resume tracking for breaks
+ * @param {Object} change - The phase change from the focus service
+ */
+function onFocusPhaseChange(change) {
+  const lengths = getFocusLengths();
+  const minutes = {
+    [focusService.PHASES.WORK]: lengths.workMinutes,
+    [focusService.PHASES.BREAK]: lengths.breakMinutes,
+    [focusService.PHASES.LONG_BREAK]: lengths.longBreakMinutes,
+  };
+
+  let message;
+  if (!change.to) {
+    message = "Focus timer stopped";
+  } else if (change.to === focusService.PHASES.WORK) {
+    message = change.from
+      ? `Break over: focus for ${minutes[change.to]} minutes`
+      : `Focus for ${minutes[change.to]} minutes`;
+  } else {
+    message = `${
+      change.completed ? "Pomodoro complete" : "Focus interval ended"
+    }: take a ${minutes[change.to]} minute ${change.to}`;
+  }
+  vscode.window.showInformationMessage(message);
+
+  // Close the open session when a break starts, so it doesn't run into it
+  if (isPausedForBreak()) {
+    flushActivity(true);
+  }
+
+  // Drop focus intervals no session can overlap anymore
+  focusService.prune(new Date(Date.now() - 24 * 60 * 60 * 1000));
+
+  updateFocusStatusBar();
+  if (summaryViewProvider) {
+    summaryViewProvider.updateView();
+  }
+}
+
+/**
+ * Check if tracking is paused because the focus timer is in a break
+ * @returns {boolean}
+ */
+function isPausedForBreak() {
+  return (
+    focusService.isOnBreak() &&
+    vscode.workspace
+      .getConfiguration("slopboardTracker")
+      .get("focusPauseTrackingOnBreak", false)
+  );
+}
+
+/**
+ * Show the focus timer countdown in the status bar
+ */
+function updateFocusStatusBar() {
+  const state = focusService.getState(new Date());
+  if (!state) {
+    focusStatusBarItem.hide();
+    return;
+  }
+
+  const minutes = Math.floor(state.remaining / 60);
+  const seconds = String(state.remaining % 60).padStart(2, "0");
+  const icon =
+    state.phase === focusService.PHASES.WORK ? "$(flame)" : "$(coffee)";
+
+  focusStatusBarItem.text = `${icon} ${minutes}:${seconds}`;
+  focusStatusBarItem.tooltip = `Focus timer: ${state.phase}${
+    isPausedForBreak() ? " (tracking paused)" : ""
+  }. Click to skip to the next phase.`;
+  focusStatusBarItem.show();
+}
+
+/**
+ * Format the time of day of a date as the user enters it
+ * @param {Date|string} datetime - Date object or ISO string
+ * @returns {string} - Hours and minutes, e.g. "09:05"
+ */
+function formatTimeOfDay(datetime) {
+  const date = new Date(datetime);
+  return `${String(date.getHours()).padStart(2, "0")}:${String(
+    date.getMinutes()
+  ).padStart(2, "0")}`;
+}
+
+/**
+ * Aggregate pending heartbeats and save the slices that are complete
+ * @param {boolean} final - Also close the open slice at its last heartbeat
+ */
+function flushActivity(final) {
+  const config = vscode.workspace.getConfiguration("slopboardTracker");
+
+  const slices = heartbeatService.collect({
+    now: new Date(),
+    mergeGap: config.get("mergeGap", 120),
+    readingGap: config.get("readingIdleThreshold", 300),
+    minDuration: config.get("minSessionDuration", 5),
+    final,
+  });
+
+  for (const slice of slices) {
+    completeSession(createSession(slice));
+  }
+
+  updateActiveSession();
+  checkpointActivity();
+}
+
+/**
+ * Create a session from an activity slice
+ * @param {Object} slice - Slice produced by the heartbeat service
+ * @returns {Object} - The session
+ */
+function createSession(slice) {
+  return {
+    id: uuidv4(),
+    ...slice.entity,
+    startTime: slice.startTime,
+    endTime: slice.endTime,
+    duration: slice.duration,
+    readingDuration: slice.readingDuration,
+    writingDuration: slice.writingDuration,
+    metrics: slice.metrics,
+  };
+}
+
+/**
+ * Write the pending heartbeats to disk so a crash doesn't lose them
+ */
+function checkpointActivity() {
+  const { heartbeats, runCommitted } = heartbeatService.getState();
+
+  if (heartbeats.length === 0) {
+    if (hasCheckpoint) {
+      storageService.removeCheckpoint(instanceId);
+      hasCheckpoint = false;
+    }
+    return;
+  }
+
+  storageService.writeCheckpoint(instanceId, {
+    updatedAt: new Date(),
+    runCommitted,
+    heartbeats,
+  });
+  hasCheckpoint = true;
+}
+
+/**
+ * Turn checkpoints left behind by dead windows into completed sessions that
+ * end at their last heartbeat
+ */
+function recoverCheckpoints() {
+  const config = vscode.workspace.getConfiguration("slopboardTracker");
+  const now = new Date();
+
+  const checkpoints = storageService.getCheckpoints();
+
+  for (const { instanceId: owner, updatedAt } of checkpoints) {
+    const age = now - new Date(updatedAt);
+    if (owner === instanceId || age < CHECKPOINT_STALE_MS) continue;
+
+    const checkpoint = storageService.takeCheckpoint(owner);
+    if (!checkpoint) continue;
+
+    const heartbeats = checkpoint.heartbeats.map((heartbeat) => ({
+      ...heartbeat,
+      time: new Date(heartbeat.time),
+      ...(heartbeat.endTime && { endTime: new Date(heartbeat.endTime) }),
+    }));
+
+    const { completed } = heartbeatService.collectSlices(
+      heartbeats,
+      checkpoint.runCommitted,
+      {
+        now,
+        mergeGap: config.get("mergeGap", 120),
+        readingGap: config.get("readingIdleThreshold", 300),
+        minDuration: config.get("minSessionDuration", 5),
+        final: true,
+      }
+    );
+
+    for (const slice of completed) {
+      completeSession(createSession(slice));
+    }
+  }
+}
+
+/**
+ * Save a completed session and add it to the summary view. Sessions that
+ * cross a day or week boundary are split so each piece lands in one bucket.
+ * @param {Object} session
+ */
+function completeSession(session) {
+  const config = vscode.workspace.getConfiguration("slopboardTracker");
+  const pieces = Utils.splitSession(session, config.get("dayStartHour", 0));
+
+  for (const split of pieces) {
+    // Record how much of the session fell into focus intervals
+    const piece = {
+      ...split,
+      focusDuration: Math.min(
+        split.duration,
+        focusService.getFocusOverlap(split.startTime, split.endTime)
+      ),
+      // Sessions recorded in local mode can be uploaded after switching modes
+      localOnly: getMode() === MODES.LOCAL,
+    };
+
+    // The history keeps the session even if it can't be queued either
+    const write = saveSession(piece).catch((error) => {
+      console.error("Failed to save session:", error);
+    });
+    pendingWrites.add(write);
+    write.finally(() => pendingWrites.delete(write));
+
+    historyService.add(piece);
+    if (summaryViewProvider) {
+      summaryViewProvider.addCompletedSession(piece);
+    }
+  }
+
+  updateGoals();
+}
+
+/**
+ * Work out the progress towards the configured goals, notify once when a goal
+ * is reached and show the progress in the status bar and summary view
+ */
+function updateGoals() {
+  const config = vscode.workspace.getConfiguration("slopboardTracker");
+  const goals = goalService.getValidGoals(config.get("goals", []));
+  const dayStartHour = config.get("dayStartHour", 0);
+  const now = new Date();
+  const sessions = getGoalSessions();
+  const records = storageService.getGoalRecords();
+  let recordsChanged = false;
+
+  const progress = goals.map((goal) => {
+    const goalProgress = goalService.getProgress(
+      goal,
+      sessions,
+      now,
+      dayStartHour
+    );
+
+    const record = goalService.recordMet(
+      records[goalProgress.key],
+      goalProgress,
+      dayStartHour
+    );
+    if (record) {
+      records[goalProgress.key] = record;
+      recordsChanged = true;
+      vscode.window.showInformationMessage(
+        `Goal reached: ${goalProgress.label}${
+          record.streak > 1
+            ? ` (${record.streak} ${goal.period}s in a row)`
+            : ""
+        }`
+      );
+    }
+
+    return {
+      ...goalProgress,
+      streak: goalService.getStreak(
+        records[goalProgress.key],
+        goalProgress,
+        dayStartHour
+      ),
+    };
+  });
+
+  if (recordsChanged) {
+    storageService.setGoalRecords(records);
+  }
+
+  // The status bar has room for the first goal only
+  goalStatusText =
+    progress.length > 0 ? `${Math.floor(progress[0].ratio * 100)}%` : "";
+  if (statusBarItem) {
+    updateStatusBar();
+  }
+  if (summaryViewProvider) {
+    summaryViewProvider.setGoalProgress(progress);
+  }
+}
+
+/**
+ * Apply the size and age limits of the offline queue from the settings
+ */
+function configureOfflineQueue() {
+  const config = vscode.workspace.getConfiguration("slopboardTracker");
+  storageService.setOfflineRetention({
+    maxBytes: config.get("offlineQueueMaxSizeMB", 50) * 1024 * 1024,
+    maxAgeMs: config.get("offlineQueueMaxAgeDays", 30) * 24 * 60 * 60 * 1000,
+  });
+}
+
+/**
+ * Get the sessions that count towards goals, from the local history
+ * @returns {Array} - The sessions
+ */
+function getGoalSessions() {
+  return historyService.query({ from: getSummaryStart() });
+}
+
+/**
+ * Get the settings of the local session history
+ * @returns {{retentionDays: number, dayStartHour: number}}
+ */
+function getHistoryOptions() {
+  const config = vscode.workspace.getConfiguration("slopboardTracker");
+  return {
+    retentionDays: config.get("historyRetentionDays", 365),
+    dayStartHour: config.get("dayStartHour", 0),
+  };
+}
+
+/**
+ * Get the start of the earliest period the summary view and goals show:
+ * this week, or today if the day started before the week did
+ * @returns {Date}
+ */
+function getSummaryStart() {
+  const now = new Date();
+  const dayStart = Utils.getDayStart(now, getHistoryOptions().dayStartHour);
+  const weekStart = Utils.getWeekStart(now);
+  return dayStart < weekStart ? dayStart : weekStart;
+}
+
+/**
+ * Show today's and this week's sessions from the local history in the
+ * summary view, so they survive reloads and include other windows
+ */
+function loadSummaryFromHistory() {
+  if (!summaryViewProvider) return;
+  summaryViewProvider.setSessions(
+    historyService.query({ from: getSummaryStart() })
+  );
+}
+
+/**
+ * Expose the open slice as the active session in the summary view
+ */
+function updateActiveSession() {
+  const config = vscode.workspace.getConfiguration("slopboardTracker");
+  const slice = heartbeatService.getOpenSlice(
+    config.get("mergeGap", 120),
+    config.get("readingIdleThreshold", 300)
+  );
+
+  // Only re-render when the open slice changes, not on every heartbeat
+  const activeStart = activeSession ? activeSession.startTime.getTime() : null;
+  const sliceStart = slice ? slice.startTime.getTime() : null;
+  if (activeStart === sliceStart) return;
+
+  activeSession = slice
+    ? { ...slice.entity, startTime: slice.startTime }
+    : null;
+
+  if (summaryViewProvider) {
+    summaryViewProvider.setActiveSession(activeSession);
+  }
+}
+
+/**
+ * Save a session by sending it to the API or storing it locally
+ * @param {Object} session
+ */
+async function saveSession(session) {
+  // The local history has it already
+  if (session.localOnly) return;
+
+  if (
+    shuttingDown ||
+    !vscode.workspace.getConfiguration("slopboardTracker").get("apiKey")
+  ) {
+    await storageService.addOfflineSession(session);
+    return;
+  }
+
+  try {
+    await sendSession(session);
+  } catch (error) {
+    console.error("Failed to send session:", error);
+
+    // Sending it again won't help
+    if (apiService.isRejection(error)) {
+      await storageService.addRejectedRecords([
+        {
+          record: storageService.toOfflineRecord(session),
+          error: apiService.getErrorMessage(error.response.data),
+        },
+      ]);
+      notifyRejectedSessions(1);
       return;
     }
 
+    // Store session for later transmission. It may have reached the server
+    // before a timeout, the idempotency key keeps it from being stored twice.
+    await storageService.addOfflineSession(session);
+
+    // Show notification for first offline session
+    if (storageService.getOfflineSessionCount() === 1) {
+      vscode.window.showInformationMessage(
+        "Session saved offline. It will be sent when connection is restored."
+      );
+    }
+  }
+}
+
+/**
+ * Send a session to the API
+ * @param {Object} session
+ * @returns {Promise}
+ */
+async function sendSession(session) {
+  // Send the data to the API
+  return apiService.sendSession(formatSessionData(session));
+}
+
+/**
+ * Upload offline records: deletions one by one, the other sessions in a batch
+ * @param {Array} records - Offline records
+ * @returns {Promise<Object>} - IDs of the records the server accepted and
+ * failed to store, and the records it rejected with its reasons
+ */
+async function uploadRecords(records) {
+  const deletions = records.filter((record) => record.deleted);
+  const sessions = records.filter((record) => !record.deleted);
+
+  const outcome = await apiService.deleteSessions(
+    deletions.map((record) => record.id)
+  );
+  if (sessions.length > 0) {
+    const batch = await apiService.sendBatchSessions(
+      sessions.map(formatSessionData)
+    );
+    outcome.accepted.push(...batch.accepted);
+    outcome.rejected.push(...batch.rejected);
+    outcome.failed.push(...batch.failed);
+  }
+  return outcome;
+}
+
+/**
+ * Tell the user that the server rejected sessions and offer to retry them
+ * @param {number} count - Number of sessions rejected
+ */
+async function notifyRejectedSessions(count) {
+  const choice = await vscode.window.showWarningMessage(
+    `The server rejected ${count} coding ${
+      count === 1 ? "session" : "sessions"
+    }. They are kept aside and won't be sent again automatically.`,
+    "Retry Rejected Sessions"
+  );
+  if (choice) {
+    retryRejectedSessions();
+  }
+}
+
+/**
+ * Queue the sessions the server rejected again and upload them
+ */
+async function retryRejectedSessions() {
+  const count = await storageService.retryRejectedRecords();
+  if (count === 0) {
+    vscode.window.showInformationMessage("There are no rejected sessions.");
+    return;
+  }
+
+  vscode.window.showInformationMessage(
+    `Retrying ${count} rejected coding ${count === 1 ? "session" : "sessions"}.`
+  );
+  sendOfflineSessions();
+}
+
+/**
+ * Format a session according to our database schema
+ * @param {Object} session - A live session or an offline record
+ * @returns {Object} - Session data for the API
+ */
+function formatSessionData(session) {
+  const metrics = session.metrics || {};
+  const shares = insertionService.getShares({
+    typed: metrics.typedCharacters,
+    pasted: metrics.pastedCharacters,
+    ai: metrics.aiCharacters,
+  });
+
+  return {
+    client_session_id: session.id,
+    idempotency_key: session.revision
+      ? `${session.id}:${session.revision}`
+      : session.id,
+    language_id: session.language.id,
+    // Offline records store the times as ISO strings
+    start_time: new Date(session.startTime).toISOString(),
+    end_time: new Date(session.endTime).toISOString(),
+    duration: session.duration,
+    // Sessions from before reading was tracked separately were all writing
+    reading_duration: session.readingDuration || 0,
+    writing_duration:
+      session.writingDuration === undefined
+        ? session.duration
+        : session.writingDuration,
+    project_name: session.projectName,
+    file_path: session.filePath,
+    branch: session.branch || null,
+    commit_sha: session.commit || null,
+    remote_url: session.remoteUrl || null,
+    ticket: session.ticket || null,
+    category: session.category || activityService.CATEGORIES.CODING,
+    tags: session.tags || [],
+    client: session.client || null,
+    billing_code: session.billingCode || null,
+    remote_kind: session.remoteKind || "local",
+    cell_kind: session.cellKind || null,
+    focus_duration: session.focusDuration || 0,
+    manual: Boolean(session.manual),
+    note: session.note || null,
+    legacy_record: storageService.isLegacyRecord(session),
+    characters_typed: metrics.charactersTyped || 0,
+    lines_added: metrics.linesAdded || 0,
+    lines_deleted: metrics.linesDeleted || 0,
+    saves: metrics.saves || 0,
+    size_delta: metrics.sizeDelta || 0,
+    typed_characters: metrics.typedCharacters || 0,
+    pasted_characters: metrics.pastedCharacters || 0,
+    ai_characters: metrics.aiCharacters || 0,
+    typed_insertions: metrics.typedInsertions || 0,
+    pasted_insertions: metrics.pastedInsertions || 0,
+    ai_insertions: metrics.aiInsertions || 0,
+    typed_share: shares.typed,
+    pasted_share: shares.pasted,
+    ai_share: shares.ai,
+  };
+}
+
+/**
+ * Send offline sessions in efficient batches
+ */
+async function sendOfflineSessions() {
+  // Only the elected window touches the shared queue, and nothing is sent in
+  // local mode
+  if (
+    !storageService.isQueueWriter() ||
+    pendingUpload ||
+    getMode() === MODES.LOCAL
+  ) {
+    return;
+  }
+
+  pendingUpload = true;
+  try {
+    await storageService.ingestInbox();
+    if (!storageService.hasOfflineSessions()) return;
+
+    const config = vscode.workspace.getConfiguration("slopboardTracker");
+    const apiKey = config.get("apiKey");
+
+    if (!apiKey) return;
+
     // Get appropriate batch size based on session count
     const totalSessions = storageService.getOfflineSessionCount();
     let batchSize = config.get("uploadBatchSize", 10);
@@ -500,28 +1967,42 @@ async function sendOfflineSessions() {
     if (totalSessions > 100) batchSize = 50;
     if (totalSessions > 500) batchSize = 100;
 
-    const sessionsToSend = storageService.getOfflineSessions(batchSize);
+    const records = storageService.getOfflineSessions(batchSize);
 
-    if (sessionsToSend.length === 0) {
-      pendingUpload = false;
-      return;
+    if (records.length === 0) return;
+
+    const ids = records.map((record) => record.id);
+    storageService.markInFlight(ids);
+
+    let outcome;
+    try {
+      outcome = await uploadRecords(records);
+    } catch (error) {
+      // Nothing is known about the batch, so all of it is sent again
+      storageService.markPending(ids);
+      throw error;
     }
 
-    // Convert sessions to the format expected by the API
-    const formattedSessions = sessionsToSend.map((session) => ({
-      language_id: session.language.id,
-      start_time: session.startTime,
-      end_time: session.endTime,
-      duration: session.duration,
-      project_name: session.projectName,
-      file_path: session.filePath,
-    }));
+    storageService.markAcked(outcome.accepted);
+    storageService.markPending(outcome.failed);
 
-    // Send the batch - let apiService handle the grouping and optimization
-    await apiService.sendBatchSessions(formattedSessions);
+    const recordsById = new Map(records.map((record) => [record.id, record]));
+    await storageService.markRejected(
+      outcome.rejected.map(({ id, error }) => ({
+        record: recordsById.get(id),
+        error,
+      }))
+    );
+    if (outcome.rejected.length > 0) {
+      notifyRejectedSessions(outcome.rejected.length);
+    }
 
-    // Remove successfully sent sessions
-    await storageService.removeOfflineSessions(sessionsToSend.length);
+    // Back off like after a failed request
+    if (outcome.failed.length > 0) {
+      throw new Error(
+        `The server could not store ${outcome.failed.length} sessions`
+      );
+    }
 
     // Show upload progress for large backlogs
     if (totalSessions > 100) {
@@ -582,19 +2063,71 @@ function setupUploadInterval(intervalSeconds) {
 }
 
 /**
- * Check for idle time and end the session if idle too long
- * @param {number} idleThresholdSeconds
+ * Check for idle time and end the session if idle too long. Reading has its
+ * own threshold, since scrolling through code produces fewer events.
+ * @param {number} idleThresholdSeconds - Threshold after writing
  */
 function checkActivity(idleThresholdSeconds) {
-  if (!activeSession || !lastActivityTime) return;
+  detectClockJump();
+
+  // Tasks and terminal commands keep running without editor events, so
+  // watching them counts as activity while the window has focus
+  const ongoingCategory = activityService.getOngoingCategory();
+  if (ongoingCategory) {
+    recordContextActivity("ongoing", ongoingCategory);
+  }
+
+  if (!heartbeatService.hasPendingHeartbeats() || !lastActivityTime) return;
+
+  const lastHeartbeat = heartbeatService.getLastHeartbeat();
+  if (lastHeartbeat && lastHeartbeat.mode === "reading") {
+    idleThresholdSeconds = vscode.workspace
+      .getConfiguration("slopboardTracker")
+      .get("readingIdleThreshold", 300);
+  }
 
   const now = new Date();
   const idleTime = (now - lastActivityTime) / 1000;
 
   if (idleTime > idleThresholdSeconds) {
-    // End the current session due to inactivity
-    endSession();
+    markAway();
+  }
+
+  // Commit finished slices, closing the open one at the last heartbeat if
+  // we've been idle too long
+  flushActivity(idleTime > idleThresholdSeconds);
+}
+
+/**
+ * Close the open slice at its last heartbeat if the system was suspended or
+ * the wall clock was changed since the last check
+ */
+function detectClockJump() {
+  const jump = clockMonitor.check((3 * ACTIVITY_CHECK_INTERVAL_MS) / 1000);
+  if (!jump) return;
+
+  console.log(
+    `Detected a ${jump.direction} clock jump (${Math.round(
+      jump.wallDelta
+    )}s since the last check), closing the open session`
+  );
+
+  // Sleeping is time away, a clock set back is not
+  if (jump.direction === "forward") {
+    markAway();
   }
+  flushActivity(true);
+}
+
+/**
+ * Remember where we left off so the user can decide about the away time
+ */
+function markAway() {
+  const lastHeartbeat = heartbeatService.getLastHeartbeat();
+  if (!lastHeartbeat) return;
+
+  awaySince = lastHeartbeat.time;
+  awayEntity = lastHeartbeat.entity;
 }
 
 /**
@@ -643,7 +2176,7 @@ async function setIdleThreshold() {
       clearInterval(activityCheckInterval);
       activityCheckInterval = setInterval(
         () => checkActivity(newThreshold),
-        10000
+        ACTIVITY_CHECK_INTERVAL_MS
       );
     }
 
@@ -665,21 +2198,15 @@ async function toggleAutoTracking() {
   if (!currentAutoTrack) {
     vscode.window.showInformationMessage("Automatic tracking enabled");
 
-    // If we're already tracking and have an active editor, start a session
-    if (
-      isTracking &&
-      vscode.window.activeTextEditor &&
-      shouldTrackDocument(vscode.window.activeTextEditor.document)
-    ) {
-      startSession(vscode.window.activeTextEditor.document);
+    // If we're already tracking and have an active editor, record a heartbeat
+    if (vscode.window.activeTextEditor) {
+      recordActivity("focus", vscode.window.activeTextEditor.document);
     }
   } else {
     vscode.window.showInformationMessage("Automatic tracking disabled");
 
-    // End the current session if one exists
-    if (activeSession) {
-      endSession();
-    }
+    // Close the open slice if one exists
+    flushActivity(true);
   }
 }
 
@@ -743,6 +2270,187 @@ async function setMinSessionDuration() {
   }
 }
 
+/**
+ * Get where sessions go
+ * @returns {string} - One of MODES
+ */
+function getMode() {
+  const mode = vscode.workspace
+    .getConfiguration("slopboardTracker")
+    .get("mode", MODES.CLOUD);
+  return Object.values(MODES).includes(mode) ? mode : MODES.CLOUD;
+}
+
+/**
+ * Start tracking if the new mode allows it, and offer to upload the history
+ * recorded in local mode when leaving it
+ */
+function onModeChange() {
+  const previousMode = currentMode;
+  currentMode = getMode();
+  updateStatusBar();
+
+  const config = vscode.workspace.getConfiguration("slopboardTracker");
+  if (config.get("enabled") && !isTracking) {
+    startTracking();
+  }
+
+  if (currentMode === MODES.LOCAL) return;
+  if (previousMode === MODES.LOCAL) {
+    // Local mode only loaded the cached or default languages
+    languageService.initialize().catch((error) => {
+      console.error("Failed to load languages:", error);
+    });
+    offerLocalHistoryUpload();
+  }
+  sendOfflineSessions();
+}
+
+/**
+ * Get the sessions in the history that were recorded in local mode and not
+ * uploaded since
+ * @returns {Array} - The sessions
+ */
+function getLocalOnlySessions() {
+  return historyService.query().filter((session) => session.localOnly);
+}
+
+/**
+ * Ask whether to upload the sessions recorded in local mode
+ */
+async function offerLocalHistoryUpload() {
+  const count = getLocalOnlySessions().length;
+  if (count === 0) return;
+
+  const choice = await vscode.window.showInformationMessage(
+    `Upload the ${count} coding ${
+      count === 1 ? "session" : "sessions"
+    } recorded in local mode?`,
+    "Upload",
+    "Not Now"
+  );
+  if (choice !== "Upload") return;
+
+  const config = vscode.workspace.getConfiguration("slopboardTracker");
+  if (!config.get("apiKey")) {
+    await setApiKey();
+  }
+  uploadLocalHistory();
+}
+
+/**
+ * Queue the sessions recorded in local mode, so they are uploaded like any
+ * other offline session
+ */
+async function uploadLocalHistory() {
+  const config = vscode.workspace.getConfiguration("slopboardTracker");
+  if (getMode() === MODES.LOCAL || !config.get("apiKey")) {
+    vscode.window.showWarningMessage(
+      "Set an API key and switch the mode to cloud or hybrid to upload the sessions recorded in local mode."
+    );
+    return;
+  }
+
+  const sessions = getLocalOnlySessions();
+  if (sessions.length === 0) {
+    vscode.window.showInformationMessage(
+      "There are no sessions recorded in local mode to upload."
+    );
+    return;
+  }
+
+  // The queue owns the sessions from here on, so they aren't offered again
+  for (const session of sessions) {
+    const queued = { ...session, localOnly: false };
+    await storageService.addOfflineSession(queued);
+    historyService.add(queued);
+  }
+
+  loadSummaryFromHistory();
+  vscode.window.showInformationMessage(
+    `${sessions.length} coding ${
+      sessions.length === 1 ? "session" : "sessions"
+    } recorded in local mode will be uploaded.`
+  );
+  sendOfflineSessions();
+}
+
+/**
+ * Show a report of the time in the local history for a range of days
+ */
+async function showReport() {
+  const custom = "Custom Range...";
+  const choice = await vscode.window.showQuickPick(
+    [...Object.values(historyService.RANGES), custom],
+    { placeHolder: "Select the days to report on" }
+  );
+  if (!choice) return;
+
+  let title = choice;
+  let range = historyService.getRange(choice, new Date());
+  if (choice === custom) {
+    title = await vscode.window.showInputBox({
+      prompt: "Days to report on",
+      placeHolder: "2024-03-01 to 2024-03-15",
+      validateInput: (value) =>
+        historyService.parseRange(value)
+          ? null
+          : "Enter a day like 2024-03-01 or a range like 2024-03-01 to 2024-03-15",
+    });
+    if (!title) return;
+    range = historyService.parseRange(title);
+  }
+
+  const summary = historyService.summarize(historyService.query(range));
+  const document = await vscode.workspace.openTextDocument({
+    language: "markdown",
+    content: formatReport(title, summary),
+  });
+  await vscode.window.showTextDocument(document, { preview: true });
+}
+
+/**
+ * Format a report as Markdown tables
+ * @param {string} title - The range the report covers
+ * @param {Object} summary - Time per day, project, language and category
+ * @returns {string} - The report
+ */
+function formatReport(title, summary) {
+  const table = (heading, column, rows) => [
+    `## ${heading}`,
+    "",
+    `| ${column} | Time |`,
+    "| --- | ---: |",
+    ...rows.map(
+      ([name, seconds]) => `| ${name} | ${Utils.formatDuration(seconds)} |`
+    ),
+    "",
+  ];
+  const byTime = (totals) => [...totals].sort((a, b) => b[1] - a[1]);
+
+  if (summary.total === 0) {
+    return `# Slopboard Report: ${title}\n\nNo sessions were recorded in this range.\n`;
+  }
+
+  return [
+    `# Slopboard Report: ${title}`,
+    "",
+    `Total: **${Utils.formatDuration(summary.total)}**`,
+    "",
+    ...table("Days", "Day", [...summary.byDay].sort()),
+    ...table("Projects", "Project", byTime(summary.byProject)),
+    ...table("Languages", "Language", byTime(summary.byLanguage)),
+    ...table(
+      "Activities",
+      "Activity",
+      byTime(summary.byCategory).map(([category, seconds]) => [
+        activityService.getCategoryLabel(category),
+        seconds,
+      ])
+    ),
+  ].join("\n");
+}
+
 /**
  * Display current settings in a quick pick menu
  */
@@ -801,4 +2509,5 @@ module.exports = {
   deactivate,
   extensionContext: null,
   updateUserSetting,
+  uploadLocalHistory,
 };
@@ -0,0 +1,265 @@
+// Phases of the focus timer
+const PHASES = {
+  WORK: "work",
+  BREAK: "break",
+  LONG_BREAK: "long break",
+};
+
+/**
+ * @typedef {Object} FocusLengths
+ * @property {number} workMinutes - Length of a focus interval
+ * @property {number} breakMinutes - Length of a short break
+ * @property {number} longBreakMinutes - Length of a long break
+ * @property {number} longBreakInterval - Focus intervals before a long break
+ */
+
+/**
+ * @typedef {Object} FocusInterval
+ * @property {Date} startTime - When the focus interval started
+ * @property {Date} endTime - When it ended, or was stopped or skipped
+ * @property {boolean} completed - True if it ran its full length (a pomodoro)
+ */
+
+/**
+ * @typedef {Object} PhaseChange
+ * @property {string|null} from - Phase that ended, null when the timer starts
+ * @property {string|null} to - Phase that started, null when the timer stops
+ * @property {boolean} completed - True if the phase that ended ran its full length
+ */
+
+/**
+ * Pomodoro-style focus timer that alternates focus intervals and breaks and
+ * remembers the focus intervals, so they can be attached to sessions
+ */
+class FocusService {
+  constructor() {
+    this.PHASES = PHASES;
+    this.lengths = null;
+    this.phase = null;
+    this.phaseStart = null;
+    this.phaseEnd = null;
+    this.completedInRow = 0;
+    this.intervals = [];
+  }
+
+  /**
+   * Start the timer with a focus interval
+   * @param {Date} now - Current time
+   * @param {FocusLengths} lengths - Lengths of the phases
+   * @returns {PhaseChange} - The start of the focus interval
+   */
+  start(now, lengths) {
+    this.lengths = lengths;
+    this.completedInRow = 0;
+    this.enterPhase(PHASES.WORK, now);
+    return { from: null, to: PHASES.WORK, completed: false };
+  }
+
+  /**
+   * Stop the timer. A running focus interval is kept up to now.
+   * @param {Date} now - Current time
+   * @returns {PhaseChange|null} - The end of the phase, or null if not running
+   */
+  stop(now) {
+    if (!this.phase) return null;
+
+    const from = this.phase;
+    this.endPhase(now, false);
+    this.phase = null;
+    this.phaseStart = null;
+    this.phaseEnd = null;
+    return { from, to: null, completed: false };
+  }
+
+  /**
+   * End the current phase early and start the next one
+   * @param {Date} now - Current time
+   * @returns {PhaseChange|null} - The phase change, or null if not running
+   */
+  skip(now) {
+    if (!this.phase) return null;
+    return this.advance(now, false);
+  }
+
+  /**
+   * Move on to the next phase if the current one is over
+   * @param {Date} now - Current time
+   * @returns {PhaseChange|null} - The phase change, or null if the phase goes on
+   */
+  tick(now) {
+    if (!this.phase || now < this.phaseEnd) return null;
+    return this.advance(now, true);
+  }
+
+  /**
+   * Check if the timer is running
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.phase !== null;
+  }
+
+  /**
+   * Check if the timer is in a break
+   * @returns {boolean}
+   */
+  isOnBreak() {
+    return this.phase === PHASES.BREAK || this.phase === PHASES.LONG_BREAK;
+  }
+
+  /**
+   * Get the current phase and the time left in it
+   * @param {Date} now - Current time
+   * @returns {{phase: string, remaining: number}|null} - Phase and seconds
+   * left, or null if the timer isn't running
+   */
+  getState(now) {
+    if (!this.phase) return null;
+    return {
+      phase: this.phase,
+      remaining: Math.max(0, Math.ceil((this.phaseEnd - now) / 1000)),
+    };
+  }
+
+  /**
+   * Get the seconds of a period that were spent in focus intervals,
+   * including the one that is running
+   * @param {Date} startTime - Start of the period
+   * @param {Date} endTime - End of the period
+   * @param {Date} [now] - Current time, the end of a running focus interval
+   * @returns {number} - Seconds of focus within the period
+   */
+  getFocusOverlap(startTime, endTime, now = new Date()) {
+    let overlapMs = 0;
+    for (const interval of this.getIntervals(now)) {
+      const start = Math.max(interval.startTime, new Date(startTime));
+      const end = Math.min(interval.endTime, new Date(endTime));
+      if (end > start) {
+        overlapMs += end - start;
+      }
+    }
+    return Math.floor(overlapMs / 1000);
+  }
+
+  /**
+   * Get the completed pomodoros and focus time since a point in time
+   * @param {Date} since - Start of the period, e.g. the start of the day
+   * @param {Date} [now] - Current time, the end of a running focus interval
+   * @returns {{pomodoros: number, focusTime: number}} - Completed focus
+   * intervals and seconds of focus
+   */
+  getStats(since, now = new Date()) {
+    const intervals = this.getIntervals(now).filter(
+      (interval) => interval.endTime > since
+    );
+    return {
+      pomodoros: intervals.filter(
+        (interval) => interval.completed && interval.startTime >= since
+      ).length,
+      focusTime: this.getFocusOverlap(since, now, now),
+    };
+  }
+
+  /**
+   * Forget focus intervals that ended before a point in time
+   * @param {Date} before - Intervals ending before this are dropped
+   */
+  prune(before) {
+    this.intervals = this.intervals.filter(
+      (interval) => interval.endTime >= before
+    );
+  }
+
+  /**
+   * Stop the timer without recording anything and forget all focus intervals
+   */
+  clear() {
+    this.phase = null;
+    this.phaseStart = null;
+    this.phaseEnd = null;
+    this.completedInRow = 0;
+    this.intervals = [];
+  }
+
+  /**
+   * Get the recorded focus intervals and the running one
+   * @param {Date} now - Current time, the end of a running focus interval
+   * @returns {FocusInterval[]}
+   * @private
+   */
+  getIntervals(now) {
+    if (this.phase !== PHASES.WORK) return this.intervals;
+    return [
+      ...this.intervals,
+      {
+        startTime: this.phaseStart,
+        endTime: new Date(Math.min(now, this.phaseEnd)),
+        completed: false,
+      },
+    ];
+  }
+
+  /**
+   * End the current phase and start the next one
+   * @param {Date} now - Current time
+   * @param {boolean} completed - True if the phase ran its full length
+   * @returns {PhaseChange}
+   * @private
+   */
+  advance(now, completed) {
+    const from = this.phase;
+    this.endPhase(now, completed);
+
+    let to = PHASES.WORK;
+    if (from === PHASES.WORK) {
+      to =
+        completed && this.completedInRow % this.lengths.longBreakInterval === 0
+          ? PHASES.LONG_BREAK
+          : PHASES.BREAK;
+    }
+
+    // After a suspend the next phase starts now rather than back when the
+    // last one ended, so phases that were slept through aren't announced
+    this.enterPhase(to, now);
+    return { from, to, completed };
+  }
+
+  /**
+   * Record the end of the current phase
+   * @param {Date} now - Current time
+   * @param {boolean} completed - True if the phase ran its full length
+   * @private
+   */
+  endPhase(now, completed) {
+    if (this.phase !== PHASES.WORK) return;
+
+    this.intervals.push({
+      startTime: this.phaseStart,
+      endTime: completed ? this.phaseEnd : new Date(now),
+      completed,
+    });
+    if (completed) {
+      this.completedInRow++;
+    }
+  }
+
+  /**
+   * Start a phase
+   * @param {string} phase - The phase
+   * @param {Date} now - Current time
+   * @private
+   */
+  enterPhase(phase, now) {
+    const minutes = {
+      [PHASES.WORK]: this.lengths.workMinutes,
+      [PHASES.BREAK]: this.lengths.breakMinutes,
+      [PHASES.LONG_BREAK]: this.lengths.longBreakMinutes,
+    }[phase];
+
+    this.phase = phase;
+    this.phaseStart = new Date(now);
+    this.phaseEnd = new Date(now.getTime() + minutes * 60 * 1000);
+  }
+}
+
+module.exports = new FocusService();
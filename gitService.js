@@ -0,0 +1,355 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+// How long information read from a .git directory is reused
+const CACHE_TTL_MS = 30000;
+
+/**
+ * @typedef {Object} GitInfo
+ * @property {string|null} branch - Current branch, null when detached
+ * @property {string|null} commit - HEAD commit hash
+ * @property {string|null} remoteUrl - Normalized URL of the origin (or first) remote
+ */
+
+/**
+ * Service for attributing sessions to git branches, commits and remotes
+ */
+class GitService {
+  constructor() {
+    this.gitDirectories = new Map();
+    this.repositories = new Map();
+    this.commitMessages = new Map();
+  }
+
+  /**
+   * Get git information for a file
+   * @param {vscode.Uri} uri - URI of the file
+   * @returns {GitInfo} - Git information, with null fields outside of a repository
+   */
+  getInfo(uri) {
+    return (
+      this.getInfoFromExtension(uri) ||
+      this.getInfoFromDisk(uri) || {
+        branch: null,
+        commit: null,
+        remoteUrl: null,
+      }
+    );
+  }
+
+  /**
+   * Get the message of a commit. Messages are loaded in the background, so
+   * this returns null until the first lookup for a commit has finished.
+   * @param {vscode.Uri} uri - URI of a file in the repository
+   * @param {string|null} commit - Commit hash
+   * @returns {string|null} - The commit message or null if not loaded (yet)
+   */
+  getCommitMessage(uri, commit) {
+    if (!commit) return null;
+
+    if (!this.commitMessages.has(commit)) {
+      this.commitMessages.set(commit, null);
+      this.loadCommitMessage(uri, commit)
+        .then((message) => this.commitMessages.set(commit, message))
+        .catch((error) => {
+          console.error(`Failed to read commit ${commit}:`, error);
+        });
+    }
+
+    return this.commitMessages.get(commit);
+  }
+
+  /**
+   * Load a commit message from the git extension or a loose object on disk
+   * @param {vscode.Uri} uri - URI of a file in the repository
+   * @param {string} commit - Commit hash
+   * @returns {Promise<string|null>} - The commit message or null if unavailable
+   * @private
+   */
+  async loadCommitMessage(uri, commit) {
+    const api = this.getGitApi();
+    const repository = api && api.getRepository(uri);
+    if (repository) {
+      const { message } = await repository.getCommit(commit);
+      return message;
+    }
+
+    if (uri.scheme !== "file") return null;
+    const gitDir = this.findGitDirectory(path.dirname(uri.fsPath));
+    if (!gitDir) return null;
+
+    // Packed objects would need a pack parser, so only loose objects are read
+    const objectFile = path.join(
+      this.getCommonDirectory(gitDir),
+      "objects",
+      commit.slice(0, 2),
+      commit.slice(2)
+    );
+    if (!fs.existsSync(objectFile)) return null;
+
+    const object = zlib.inflateSync(fs.readFileSync(objectFile)).toString();
+    const body = object.slice(object.indexOf("\0") + 1);
+    const messageStart = body.indexOf("\n\n");
+    return messageStart >= 0 ? body.slice(messageStart + 2).trim() : null;
+  }
+
+  /**
+   * Get the API of the built-in git extension
+   * @returns {Object|null} - The git API or null if it's not available
+   * @private
+   */
+  getGitApi() {
+    const extension = vscode.extensions.getExtension("vscode.git");
+    if (!extension || !extension.isActive) return null;
+
+    try {
+      return extension.exports.getAPI(1);
+    } catch (error) {
+      // The git extension is disabled
+      return null;
+    }
+  }
+
+  /**
+   * Read git information from the built-in git extension
+   * @param {vscode.Uri} uri - URI of the file
+   * @returns {GitInfo|null} - Git information or null if unavailable
+   * @private
+   */
+  getInfoFromExtension(uri) {
+    const api = this.getGitApi();
+    const repository = api && api.getRepository(uri);
+    if (!repository || !repository.state.HEAD) return null;
+
+    const { HEAD, remotes } = repository.state;
+    const remote = remotes.find((r) => r.name === "origin") || remotes[0];
+
+    return {
+      branch: HEAD.name || null,
+      commit: HEAD.commit || null,
+      remoteUrl: remote
+        ? this.normalizeRemoteUrl(remote.fetchUrl || remote.pushUrl)
+        : null,
+    };
+  }
+
+  /**
+   * Read git information directly from the .git directory
+   * @param {vscode.Uri} uri - URI of the file
+   * @returns {GitInfo|null} - Git information or null if not in a repository
+   * @private
+   */
+  getInfoFromDisk(uri) {
+    if (uri.scheme !== "file") return null;
+
+    const gitDir = this.findGitDirectory(path.dirname(uri.fsPath));
+    if (!gitDir) return null;
+
+    const cached = this.repositories.get(gitDir);
+    if (cached && Date.now() - cached.readAt < CACHE_TTL_MS) {
+      return cached.info;
+    }
+
+    let info = null;
+    try {
+      info = this.readRepository(gitDir);
+    } catch (error) {
+      console.error(`Failed to read git repository ${gitDir}:`, error);
+    }
+
+    this.repositories.set(gitDir, { info, readAt: Date.now() });
+    return info;
+  }
+
+  /**
+   * Find the git directory for a working tree directory
+   * @param {string} directory - Directory to start looking in
+   * @returns {string|null} - Path of the git directory or null if none
+   * @private
+   */
+  findGitDirectory(directory) {
+    const cached = this.gitDirectories.get(directory);
+    if (cached && Date.now() - cached.readAt < CACHE_TTL_MS) {
+      return cached.gitDir;
+    }
+
+    let gitDir = null;
+    let current = directory;
+    while (!gitDir) {
+      const candidate = path.join(current, ".git");
+      try {
+        const stat = fs.statSync(candidate);
+        if (stat.isDirectory()) {
+          gitDir = candidate;
+        } else {
+          // Worktrees and submodules point to their git directory from a file
+          const match = /^gitdir:\s*(.+)$/m.exec(
+            fs.readFileSync(candidate, "utf8")
+          );
+          gitDir = match ? path.resolve(current, match[1].trim()) : null;
+          break;
+        }
+      } catch (error) {
+        const parent = path.dirname(current);
+        if (parent === current) break;
+        current = parent;
+      }
+    }
+
+    this.gitDirectories.set(directory, { gitDir, readAt: Date.now() });
+    return gitDir;
+  }
+
+  /**
+   * Read HEAD and the remote from a git directory
+   * @param {string} gitDir - Path of the git directory
+   * @returns {GitInfo} - Git information
+   * @private
+   */
+  readRepository(gitDir) {
+    const commonDir = this.getCommonDirectory(gitDir);
+    const head = fs.readFileSync(path.join(gitDir, "HEAD"), "utf8").trim();
+    const refMatch = /^ref:\s*(.+)$/.exec(head);
+
+    let branch = null;
+    let commit = head;
+    if (refMatch) {
+      const ref = refMatch[1];
+      branch = ref.replace(/^refs\/heads\//, "");
+      commit = this.resolveRef(ref, [gitDir, commonDir]);
+    }
+
+    return {
+      branch,
+      commit,
+      remoteUrl: this.readRemoteUrl(path.join(commonDir, "config")),
+    };
+  }
+
+  /**
+   * Get the directory holding refs, objects and config for a git directory
+   * @param {string} gitDir - Path of the git directory
+   * @returns {string} - The common directory
+   * @private
+   */
+  getCommonDirectory(gitDir) {
+    // Linked worktrees keep refs, objects and config in the main repository
+    const commonDirFile = path.join(gitDir, "commondir");
+    if (!fs.existsSync(commonDirFile)) return gitDir;
+
+    return path.resolve(gitDir, fs.readFileSync(commonDirFile, "utf8").trim());
+  }
+
+  /**
+   * Resolve a ref to a commit hash from loose or packed refs
+   * @param {string} ref - Full ref name, e.g. refs/heads/main
+   * @param {string[]} directories - Git directories to look in
+   * @returns {string|null} - Commit hash or null if the ref doesn't exist yet
+   * @private
+   */
+  resolveRef(ref, directories) {
+    for (const directory of directories) {
+      try {
+        return fs.readFileSync(path.join(directory, ref), "utf8").trim();
+      } catch (error) {
+        // Not a loose ref, try the packed refs
+      }
+
+      try {
+        const packedRefs = fs.readFileSync(
+          path.join(directory, "packed-refs"),
+          "utf8"
+        );
+        for (const line of packedRefs.split("\n")) {
+          const [hash, name] = line.trim().split(" ");
+          if (name === ref) return hash;
+        }
+      } catch (error) {
+        // No packed refs
+      }
+    }
+
+    // A branch without commits
+    return null;
+  }
+
+  /**
+   * Read the URL of the origin remote, or the first remote, from a git config
+   * @param {string} configFile - Path of the config file
+   * @returns {string|null} - Normalized remote URL or null if there is none
+   * @private
+   */
+  readRemoteUrl(configFile) {
+    let config;
+    try {
+      config = fs.readFileSync(configFile, "utf8");
+    } catch (error) {
+      return null;
+    }
+
+    const remotes = new Map();
+    let section = null;
+    for (const line of config.split(/\r?\n/)) {
+      const sectionMatch = /^\s*\[remote\s+"([^"]+)"\]/.exec(line);
+      if (sectionMatch) {
+        section = sectionMatch[1];
+        continue;
+      }
+      if (/^\s*\[/.test(line)) {
+        section = null;
+        continue;
+      }
+
+      const urlMatch = /^\s*url\s*=\s*(.+?)\s*$/.exec(line);
+      if (section && urlMatch && !remotes.has(section)) {
+        remotes.set(section, urlMatch[1]);
+      }
+    }
+
+    const url = remotes.get("origin") || remotes.values().next().value;
+    return url ? this.normalizeRemoteUrl(url) : null;
+  }
+
+  /**
+   * Normalize a remote URL so SSH and HTTPS clones of a repository match,
+   * e.g. git@github.com:owner/repo.git becomes github.com/owner/repo
+   * @param {string} url - Remote URL as configured
+   * @returns {string|null} - Host and path without credentials, or null for
+   * remotes without a host such as local paths, which would only reveal
+   * where the user keeps their files
+   */
+  normalizeRemoteUrl(url) {
+    if (!url) return null;
+
+    let host;
+    let repositoryPath;
+
+    const scpMatch = /^(?:[^@/]+@)?([^:/]+):(?!\/)(.+)$/.exec(url.trim());
+    if (scpMatch && scpMatch[1].length > 1) {
+      host = scpMatch[1];
+      repositoryPath = scpMatch[2];
+    } else {
+      try {
+        const parsed = new URL(url.trim());
+        host = parsed.hostname;
+        repositoryPath = parsed.pathname;
+      } catch (error) {
+        host = "";
+      }
+
+      // A local path or file:// URL
+      if (!host) return null;
+    }
+
+    repositoryPath = repositoryPath
+      .replace(/^\/+/, "")
+      .replace(/\/+$/, "")
+      .replace(/\.git$/, "");
+
+    return `${host.toLowerCase()}/${repositoryPath}`;
+  }
+}
+
+module.exports = new GitService();
@@ -0,0 +1,205 @@
+const Utils = require("./utils");
+
+/**
+ * @typedef {Object} Goal
+ * @property {string} period - "day" or "week"
+ * @property {number} hours - Target in hours
+ * @property {string} [language] - Only count time in this language
+ * @property {string} [project] - Only count time in this project
+ */
+
+/**
+ * @typedef {Object} GoalRecord
+ * @property {string|null} lastMet - ISO start of the last period the goal was met in
+ * @property {number} streak - Consecutive periods the goal was met in, up to lastMet
+ */
+
+/**
+ * @typedef {Object} GoalProgress
+ * @property {Goal} goal - The goal
+ * @property {string} key - Identifies the goal in the stored records
+ * @property {string} label - Description such as "2h Rust per day"
+ * @property {number} seconds - Time counted towards the goal in the current period
+ * @property {number} target - Target in seconds
+ * @property {number} ratio - Progress from 0, can exceed 1
+ * @property {boolean} met - True if the target is reached
+ * @property {Date} periodStart - Start of the current period
+ */
+
+/**
+ * Service for daily and weekly coding goals, their progress and streaks
+ */
+class GoalService {
+  /**
+   * Keep the goals from the settings that are valid
+   * @param {*} goals - The "goals" setting
+   * @returns {Goal[]} - Valid goals
+   */
+  getValidGoals(goals) {
+    if (!Array.isArray(goals)) return [];
+    return goals.filter(
+      (goal) =>
+        goal &&
+        ["day", "week"].includes(goal.period) &&
+        typeof goal.hours === "number" &&
+        goal.hours > 0
+    );
+  }
+
+  /**
+   * Work out the progress towards a goal in the current period
+   * @param {Goal} goal - The goal
+   * @param {Array} sessions - Completed sessions, each counted once
+   * @param {Date} now - Current time
+   * @param {number} [dayStartHour] - Local hour at which a new day starts
+   * @returns {GoalProgress}
+   */
+  getProgress(goal, sessions, now, dayStartHour = 0) {
+    const periodStart = this.getPeriodStart(goal.period, now, dayStartHour);
+    const seconds = sessions
+      .filter(
+        (session) =>
+          new Date(session.startTime) >= periodStart &&
+          new Date(session.startTime) <= now &&
+          this.matches(goal, session)
+      )
+      .reduce((total, session) => total + session.duration, 0);
+    const target = Math.round(goal.hours * 3600);
+
+    return {
+      goal,
+      key: this.getKey(goal),
+      label: this.getLabel(goal),
+      seconds,
+      target,
+      ratio: seconds / target,
+      met: seconds >= target,
+      periodStart,
+    };
+  }
+
+  /**
+   * Update a goal's record when it is met, extending the streak if it was
+   * also met in the period before
+   * @param {GoalRecord|undefined} record - The stored record
+   * @param {GoalProgress} progress - Progress in the current period
+   * @param {number} [dayStartHour] - Local hour at which a new day starts
+   * @returns {GoalRecord|null} - The new record, or null if nothing changed
+   * because the goal isn't met or was already met in this period
+   */
+  recordMet(record, progress, dayStartHour = 0) {
+    const current = progress.periodStart.toISOString();
+    if (!progress.met || (record && record.lastMet === current)) return null;
+
+    const previous = this.getPreviousPeriodStart(
+      progress.goal.period,
+      progress.periodStart,
+      dayStartHour
+    ).toISOString();
+    const continues = record && record.lastMet === previous;
+
+    return { lastMet: current, streak: continues ? record.streak + 1 : 1 };
+  }
+
+  /**
+   * Get the current streak of a goal. A streak stays alive until the end of
+   * the period after the last one the goal was met in.
+   * @param {GoalRecord|undefined} record - The stored record
+   * @param {GoalProgress} progress - Progress in the current period
+   * @param {number} [dayStartHour] - Local hour at which a new day starts
+   * @returns {number} - Consecutive periods the goal was met in
+   */
+  getStreak(record, progress, dayStartHour = 0) {
+    if (!record || !record.lastMet) return 0;
+
+    const previous = this.getPreviousPeriodStart(
+      progress.goal.period,
+      progress.periodStart,
+      dayStartHour
+    ).toISOString();
+    return [progress.periodStart.toISOString(), previous].includes(
+      record.lastMet
+    )
+      ? record.streak
+      : 0;
+  }
+
+  /**
+   * Describe a goal, e.g. "2h Rust per day"
+   * @param {Goal} goal
+   * @returns {string}
+   */
+  getLabel(goal) {
+    const scope = [goal.language, goal.project && `in ${goal.project}`]
+      .filter(Boolean)
+      .join(" ");
+    return `${Utils.formatDuration(Math.round(goal.hours * 3600))}${
+      scope ? ` ${scope}` : ""
+    } per ${goal.period}`;
+  }
+
+  /**
+   * Check if a session counts towards a goal
+   * @param {Goal} goal
+   * @param {Object} session
+   * @returns {boolean}
+   * @private
+   */
+  matches(goal, session) {
+    if (
+      goal.language &&
+      (!session.language ||
+        session.language.name.toLowerCase() !== goal.language.toLowerCase())
+    ) {
+      return false;
+    }
+    return !goal.project || session.projectName === goal.project;
+  }
+
+  /**
+   * Identify a goal, so its streak survives reordering the goals setting
+   * @param {Goal} goal
+   * @returns {string}
+   * @private
+   */
+  getKey(goal) {
+    return JSON.stringify([
+      goal.period,
+      goal.hours,
+      goal.language || null,
+      goal.project || null,
+    ]);
+  }
+
+  /**
+   * Get the start of the day or week a date falls in
+   * @param {string} period - "day" or "week"
+   * @param {Date} date
+   * @param {number} dayStartHour - Local hour at which a new day starts
+   * @returns {Date}
+   * @private
+   */
+  getPeriodStart(period, date, dayStartHour) {
+    return period === "week"
+      ? Utils.getWeekStart(date)
+      : Utils.getDayStart(date, dayStartHour);
+  }
+
+  /**
+   * Get the start of the period before the one starting at a date
+   * @param {string} period - "day" or "week"
+   * @param {Date} periodStart - Start of a period
+   * @param {number} dayStartHour - Local hour at which a new day starts
+   * @returns {Date}
+   * @private
+   */
+  getPreviousPeriodStart(period, periodStart, dayStartHour) {
+    return this.getPeriodStart(
+      period,
+      new Date(periodStart.getTime() - 1),
+      dayStartHour
+    );
+  }
+}
+
+module.exports = new GoalService();
@@ -0,0 +1,413 @@
+// Heartbeat types that change the document
+const WRITING_TYPES = ["edit", "save"];
+
+// Seconds after an edit during which other activity still counts as writing,
+// e.g. moving the cursor to the next place to type
+const WRITING_WINDOW = 10;
+
+// Number of recent heartbeats that stay pending as they were recorded; older
+// pending heartbeats are collapsed into one heartbeat per slice
+const PENDING_TAIL = 20;
+
+/**
+ * @typedef {Object} Heartbeat
+ * @property {Date} time - When the activity happened
+ * @property {string} type - Kind of activity ("edit", "focus", "save", "cursor", "scroll", "navigate", "debug", "task", "terminal", "ongoing" or "collapsed")
+ * @property {string} [mode] - "writing" or "reading"; heartbeats without a mode count as writing
+ * @property {Object} entity - What was being worked on (language, projectName, filePath)
+ * @property {EditMetrics} [metrics] - Edits and saves made with this heartbeat
+ * @property {Date} [endTime] - End of the time a collapsed heartbeat stands for
+ * @property {number} [writingMs] - Milliseconds of a collapsed heartbeat's time spent writing
+ */
+
+/**
+ * @typedef {Object} EditMetrics
+ * @property {number} [charactersTyped] - Characters inserted
+ * @property {number} [linesAdded] - Line breaks inserted
+ * @property {number} [linesDeleted] - Line breaks removed
+ * @property {number} [saves] - Number of saves
+ * @property {number} [sizeDelta] - Net change of the file size in characters
+ */
+
+/**
+ * @typedef {Object} ActivitySlice
+ * @property {Object} entity - The entity the time is credited to
+ * @property {Date} startTime - Time of the first heartbeat in the slice
+ * @property {Date} endTime - End of the credited time
+ * @property {number} duration - Duration in seconds
+ * @property {number} run - Index of the run of continuous activity the slice belongs to
+ * @property {EditMetrics} metrics - Sum of the metrics of the slice's heartbeats
+ * @property {number} writingDuration - Seconds of the duration spent writing
+ * @property {number} readingDuration - Seconds of the duration spent reading
+ * @property {string} [lastMode] - Mode of the slice's last heartbeat, which decides the gap allowed after it
+ */
+
+/**
+ * Add up two sets of edit metrics
+ * @param {EditMetrics} [a]
+ * @param {EditMetrics} [b]
+ * @returns {EditMetrics} - The sum, field by field
+ */
+function addMetrics(a = {}, b = {}) {
+  const sum = { ...a };
+  for (const [field, value] of Object.entries(b)) {
+    sum[field] = (sum[field] || 0) + value;
+  }
+  return sum;
+}
+
+/**
+ * Collects activity heartbeats and aggregates them into time slices
+ */
+class HeartbeatService {
+  constructor() {
+    this.heartbeats = [];
+    this.lastWriteTime = null;
+    // Whether the run at the head of the pending heartbeats already reached
+    // the minimum duration and had slices committed from it
+    this.runCommitted = false;
+  }
+
+  /**
+   * Record an activity heartbeat
+   * @param {string} type - Kind of activity
+   * @param {Object} entity - What was being worked on
+   * @param {Date} [time] - When the activity happened
+   * @param {EditMetrics} [metrics] - Edits and saves made with this activity
+   */
+  record(type, entity, time = new Date(), metrics = null) {
+    if (WRITING_TYPES.includes(type)) {
+      this.lastWriteTime = time;
+    }
+    const mode =
+      this.lastWriteTime && (time - this.lastWriteTime) / 1000 <= WRITING_WINDOW
+        ? "writing"
+        : "reading";
+
+    const lastIndex = this.heartbeats.length - 1;
+    const last = this.heartbeats[lastIndex];
+
+    // Bursts of events (keystrokes alternating with cursor moves) carry no
+    // extra information for the aggregator, so keep at most one per second
+    // and entity, taking the latest type and mode and adding up the metrics
+    if (
+      last &&
+      !last.endTime &&
+      time >= last.time &&
+      time - last.time < 1000 &&
+      this.getEntityKey(last.entity) === this.getEntityKey(entity)
+    ) {
+      this.heartbeats[lastIndex] = {
+        ...last,
+        type,
+        mode,
+        ...(metrics && { metrics: addMetrics(last.metrics, metrics) }),
+      };
+      return;
+    }
+
+    this.heartbeats.push(
+      metrics
+        ? { time, type, mode, entity, metrics }
+        : { time, type, mode, entity }
+    );
+  }
+
+  /**
+   * Check if there are heartbeats that have not been aggregated yet
+   * @returns {boolean} - True if there are pending heartbeats
+   */
+  hasPendingHeartbeats() {
+    return this.heartbeats.length > 0;
+  }
+
+  /**
+   * Get the most recent heartbeat
+   * @returns {Heartbeat|null} - The last heartbeat or null if none
+   */
+  getLastHeartbeat() {
+    let latest = null;
+    for (const heartbeat of this.heartbeats) {
+      if (!latest || heartbeat.time >= latest.time) {
+        latest = heartbeat;
+      }
+    }
+    return latest;
+  }
+
+  /**
+   * Get the slice that is still being extended by new heartbeats
+   * @param {number} mergeGap - Maximum gap in seconds after writing
+   * @param {number} [readingGap] - Maximum gap in seconds after reading
+   * @returns {ActivitySlice|null} - The open slice or null if there is none
+   */
+  getOpenSlice(mergeGap, readingGap = mergeGap) {
+    const slices = this.aggregateHeartbeats(
+      this.heartbeats,
+      mergeGap,
+      readingGap
+    );
+    return slices.length > 0 ? slices[slices.length - 1] : null;
+  }
+
+  /**
+   * Get the pending heartbeats and run state, e.g. to checkpoint them
+   * @returns {{heartbeats: Heartbeat[], runCommitted: boolean}} - Pending state
+   */
+  getState() {
+    return {
+      heartbeats: [...this.heartbeats],
+      runCommitted: this.runCommitted,
+    };
+  }
+
+  /**
+   * Aggregate pending heartbeats and remove the slices that can no longer change
+   * @param {Object} options
+   * @param {Date} options.now - Current time
+   * @param {number} options.mergeGap - Maximum gap in seconds after writing
+   * @param {number} [options.readingGap] - Maximum gap in seconds after reading, the merge gap by default
+   * @param {number} options.minDuration - Minimum duration in seconds of a run of activity
+   * @param {boolean} [options.final] - Close the open slice at its last heartbeat
+   * @returns {ActivitySlice[]} - Completed slices in chronological order
+   */
+  collect(options) {
+    const result = this.collectSlices(
+      this.heartbeats,
+      this.runCommitted,
+      options
+    );
+
+    // The open slice of a long run would otherwise keep every heartbeat
+    this.heartbeats =
+      result.remaining.length > PENDING_TAIL
+        ? this.collapseHeartbeats(result.remaining, PENDING_TAIL, options)
+        : result.remaining;
+    this.runCommitted = result.runCommitted;
+
+    return result.completed;
+  }
+
+  /**
+   * Split heartbeats into completed slices and heartbeats that stay pending
+   * @param {Heartbeat[]} heartbeats - Heartbeats in any order
+   * @param {boolean} runCommitted - Whether the first run already had slices committed
+   * @param {Object} options - Same options as collect()
+   * @returns {{completed: ActivitySlice[], remaining: Heartbeat[], runCommitted: boolean}}
+   */
+  collectSlices(
+    heartbeats,
+    runCommitted,
+    { now, mergeGap, readingGap = mergeGap, minDuration, final = false }
+  ) {
+    const sorted = this.sortHeartbeats(heartbeats);
+    const slices = this.aggregateHeartbeats(sorted, mergeGap, readingGap);
+    if (slices.length === 0) {
+      return { completed: [], remaining: [], runCommitted: false };
+    }
+
+    const lastSlice = slices[slices.length - 1];
+    const allowedGap = lastSlice.lastMode === "reading" ? readingGap : mergeGap;
+    const isOpen = !final && (now - lastSlice.endTime) / 1000 <= allowedGap;
+
+    const runDurations = new Map();
+    for (const slice of slices) {
+      runDurations.set(
+        slice.run,
+        (runDurations.get(slice.run) || 0) + slice.duration
+      );
+    }
+
+    const completed = [];
+    let retainFrom = sorted.length;
+    let openRunCommitted = false;
+
+    for (const [run, duration] of runDurations) {
+      const runSlices = slices.filter((slice) => slice.run === run);
+      const isOpenRun = isOpen && run === lastSlice.run;
+      const keep = duration >= minDuration || (run === 0 && runCommitted);
+
+      if (!keep) {
+        // A short run that can still grow stays pending, otherwise it's dropped
+        if (isOpenRun) {
+          retainFrom = runSlices[0].firstIndex;
+        }
+        continue;
+      }
+
+      if (isOpenRun) {
+        completed.push(...runSlices.slice(0, -1));
+        retainFrom = lastSlice.firstIndex;
+        openRunCommitted = true;
+      } else {
+        completed.push(...runSlices);
+      }
+    }
+
+    return {
+      completed,
+      remaining: sorted.slice(retainFrom),
+      runCommitted: openRunCommitted,
+    };
+  }
+
+  /**
+   * Replace all but the most recent heartbeats with one collapsed heartbeat
+   * per slice they make up. Collapsed heartbeats aggregate into the same
+   * slices as the heartbeats they replace.
+   * @param {Heartbeat[]} heartbeats - Heartbeats in any order
+   * @param {number} tail - Number of recent heartbeats to keep as they are
+   * @param {Object} options
+   * @param {number} options.mergeGap - Maximum gap in seconds after writing
+   * @param {number} [options.readingGap] - Maximum gap in seconds after reading
+   * @returns {Heartbeat[]} - Collapsed heartbeats followed by the tail
+   * @private
+   */
+  collapseHeartbeats(heartbeats, tail, { mergeGap, readingGap = mergeGap }) {
+    const sorted = this.sortHeartbeats(heartbeats);
+    const collapsed = this.buildSlices(
+      sorted.slice(0, -tail),
+      mergeGap,
+      readingGap
+    ).map((slice) => ({
+      time: slice.startTime,
+      type: "collapsed",
+      mode: slice.lastMode,
+      entity: slice.entity,
+      metrics: slice.metrics,
+      endTime: slice.endTime,
+      writingMs: slice.writingMs,
+    }));
+
+    return [...collapsed, ...sorted.slice(-tail)];
+  }
+
+  /**
+   * Turn heartbeats into time slices. The time between two heartbeats is
+   * credited to the earlier one as long as the gap doesn't exceed the merge
+   * gap; longer gaps are idle time and end the run of activity. Reading can
+   * have a gap of its own, since reading produces fewer events than writing.
+   * @param {Heartbeat[]} heartbeats - Heartbeats in any order
+   * @param {number} mergeGap - Maximum gap in seconds after writing
+   * @param {number} [readingGap] - Maximum gap in seconds after reading
+   * @returns {ActivitySlice[]} - Slices in chronological order
+   */
+  aggregateHeartbeats(heartbeats, mergeGap, readingGap = mergeGap) {
+    return this.buildSlices(heartbeats, mergeGap, readingGap).map(
+      ({ writingMs, ...slice }) => {
+        const duration = Math.floor((slice.endTime - slice.startTime) / 1000);
+        const writingDuration = Math.floor(writingMs / 1000);
+        return {
+          ...slice,
+          duration,
+          writingDuration,
+          readingDuration: duration - writingDuration,
+        };
+      }
+    );
+  }
+
+  /**
+   * Build the slices of aggregateHeartbeats() with their writing time in
+   * milliseconds instead of the durations
+   * @param {Heartbeat[]} heartbeats - Heartbeats in any order
+   * @param {number} mergeGap - Maximum gap in seconds after writing
+   * @param {number} readingGap - Maximum gap in seconds after reading
+   * @returns {Object[]} - Slices in chronological order
+   * @private
+   */
+  buildSlices(heartbeats, mergeGap, readingGap) {
+    const sorted = this.sortHeartbeats(heartbeats);
+    const slices = [];
+    let current = null;
+    let run = 0;
+
+    sorted.forEach((heartbeat, index) => {
+      const key = this.getEntityKey(heartbeat.entity);
+      // A collapsed heartbeat stands for time that was already credited
+      const endTime = heartbeat.endTime || heartbeat.time;
+      const writingMs = heartbeat.writingMs || 0;
+
+      if (current) {
+        const gap = (heartbeat.time - current.endTime) / 1000;
+        const reading = current.lastMode === "reading";
+
+        if (gap <= (reading ? readingGap : mergeGap)) {
+          // Switching entities credits the gap to the one we switched away from
+          current.endTime = heartbeat.time;
+          if (!reading) {
+            current.writingMs += gap * 1000;
+          }
+          if (key === current.key) {
+            current.endTime = endTime;
+            current.writingMs += writingMs;
+            current.metrics = addMetrics(current.metrics, heartbeat.metrics);
+            current.lastMode = heartbeat.mode;
+            return;
+          }
+        } else {
+          run++;
+        }
+
+        slices.push(current);
+      }
+
+      current = {
+        key,
+        entity: heartbeat.entity,
+        startTime: heartbeat.time,
+        endTime,
+        run,
+        firstIndex: index,
+        metrics: addMetrics({}, heartbeat.metrics),
+        lastMode: heartbeat.mode,
+        writingMs,
+      };
+    });
+
+    if (current) {
+      slices.push(current);
+    }
+
+    return slices;
+  }
+
+  /**
+   * Sort heartbeats chronologically without mutating the input
+   * @param {Heartbeat[]} heartbeats - Heartbeats in any order
+   * @returns {Heartbeat[]} - Sorted copy
+   * @private
+   */
+  sortHeartbeats(heartbeats) {
+    return [...heartbeats].sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Build a key identifying the entity time is credited to
+   * @param {Object} entity - The entity
+   * @returns {string} - Key that is equal for equivalent entities
+   */
+  getEntityKey(entity) {
+    return JSON.stringify(
+      Object.keys(entity)
+        .sort()
+        .map((field) => [
+          field,
+          field === "language"
+            ? `${entity.language.id}:${entity.language.name}`
+            : entity[field],
+        ])
+    );
+  }
+
+  /**
+   * Discard all pending heartbeats
+   */
+  clear() {
+    this.heartbeats = [];
+    this.lastWriteTime = null;
+    this.runCommitted = false;
+  }
+}
+
+module.exports = new HeartbeatService();
@@ -0,0 +1,459 @@
+const fs = require("fs");
+const JsonlFiles = require("./jsonlFiles");
+const Utils = require("./utils");
+
+const MONTH_PATTERN = /^\d{4}-\d{2}\.jsonl$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields sessions are indexed by, and how to read them from a record
+const INDEXED_FIELDS = {
+  project: (record) => record.projectName,
+  language: (record) => record.language && record.language.name,
+  category: (record) => record.category,
+};
+
+// Date ranges offered for reports
+const RANGES = {
+  TODAY: "Today",
+  YESTERDAY: "Yesterday",
+  THIS_WEEK: "This Week",
+  LAST_WEEK: "Last Week",
+  THIS_MONTH: "This Month",
+  LAST_30_DAYS: "Last 30 Days",
+};
+
+/**
+ * @typedef {Object} HistoryQuery
+ * @property {Date} [from] - Only sessions starting at or after this
+ * @property {Date} [to] - Only sessions starting before this
+ * @property {string} [project] - Only sessions in this project
+ * @property {string} [language] - Only sessions in this language, by name
+ * @property {string} [category] - Only sessions of this activity category
+ */
+
+/**
+ * @typedef {Object} HistorySummary
+ * @property {number} total - Seconds of all sessions
+ * @property {Map<string, number>} byDay - Seconds per day, keyed "YYYY-MM-DD"
+ * @property {Map<string, number>} byProject - Seconds per project
+ * @property {Map<string, number>} byLanguage - Seconds per language
+ * @property {Map<string, number>} byCategory - Seconds per activity category
+ */
+
+/**
+ * Local history of completed sessions, kept in one JSONL file per month in
+ * the global storage so statistics work without the server. Every window
+ * appends the sessions it completes. Corrections are appended with the ID of
+ * the original and replace it, deletions are appended as marker lines. The
+ * sessions are indexed in memory by day, project, language and category,
+ * picking up lines other windows appended since the last scan.
+ */
+class HistoryService {
+  constructor() {
+    this.RANGES = RANGES;
+    this.directory = null;
+    this.files = new JsonlFiles(MONTH_PATTERN);
+    this.retentionDays = Infinity;
+    this.dayStartHour = 0;
+    this.reset();
+  }
+
+  /**
+   * Set up the history in a directory and drop sessions beyond the retention
+   * @param {string} directory - Directory of the month files
+   * @param {Object} [options]
+   * @param {number} [options.retentionDays] - Days sessions are kept for
+   * @param {number} [options.dayStartHour] - Local hour at which a new day starts
+   */
+  initialize(directory, { retentionDays = Infinity, dayStartHour = 0 } = {}) {
+    this.directory = directory;
+    this.retentionDays = retentionDays;
+    this.dayStartHour = dayStartHour;
+    this.files.setDirectory(directory);
+    this.reset();
+    this.prune();
+  }
+
+  /**
+   * Change the settings, dropping sessions beyond the new retention
+   * @param {Object} options
+   * @param {number} options.retentionDays - Days sessions are kept for
+   * @param {number} options.dayStartHour - Local hour at which a new day starts
+   */
+  configure({ retentionDays, dayStartHour }) {
+    this.retentionDays = retentionDays;
+    this.dayStartHour = dayStartHour;
+    this.reset();
+    this.prune();
+  }
+
+  /**
+   * Add a completed session, replacing an earlier version with the same ID
+   * @param {Object} session - The session
+   */
+  add(session) {
+    try {
+      this.sync();
+
+      const record = {};
+      for (const [field, value] of Object.entries(session)) {
+        // Convert Date objects to ISO strings for storage
+        record[field] = value instanceof Date ? value.toISOString() : value;
+      }
+
+      // A correction goes to the file of the original, so it's read after it
+      const existing = this.sessions.get(record.id);
+      const file = existing
+        ? existing.file
+        : this.getMonthFile(new Date(record.startTime));
+      this.appendLine(file, record);
+    } catch (error) {
+      console.error("Failed to add session to history:", error);
+    }
+  }
+
+  /**
+   * Remove a session
+   * @param {string} id - ID of the session
+   */
+  remove(id) {
+    try {
+      this.sync();
+
+      const existing = this.sessions.get(id);
+      if (!existing) return;
+      this.appendLine(existing.file, { $remove: [id] });
+    } catch (error) {
+      console.error("Failed to remove session from history:", error);
+    }
+  }
+
+  /**
+   * Find sessions, using the indexes
+   * @param {HistoryQuery} [query]
+   * @returns {Array} - Sessions ordered by start time, with Date objects for
+   * the start and end
+   */
+  query({ from, to, ...fields } = {}) {
+    this.sync();
+
+    let ids = null;
+    const narrow = (matches) => {
+      ids = ids
+        ? new Set([...ids].filter((id) => matches.has(id)))
+        : new Set(matches);
+    };
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (value === undefined || !INDEXED_FIELDS[field]) continue;
+      narrow(this.indexes[field].get(value) || new Set());
+    }
+
+    // Day keys sort like the days, and a session starts in the day of its key
+    if (from || to) {
+      const fromKey = from && this.getDayKey(from);
+      const toKey = to && this.getDayKey(to);
+      const matches = new Set();
+      for (const [key, dayIds] of this.byDay) {
+        if ((fromKey && key < fromKey) || (toKey && key > toKey)) continue;
+        dayIds.forEach((id) => matches.add(id));
+      }
+      narrow(matches);
+    }
+
+    return [...(ids || this.sessions.keys())]
+      .map((id) => this.sessions.get(id).record)
+      .filter((record) => {
+        const startTime = new Date(record.startTime);
+        return (!from || startTime >= from) && (!to || startTime < to);
+      })
+      .map((record) => ({
+        ...record,
+        startTime: new Date(record.startTime),
+        endTime: new Date(record.endTime),
+      }))
+      .sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * Add up the time of sessions per day, project, language and category
+   * @param {Array} sessions - Sessions from a query
+   * @returns {HistorySummary}
+   */
+  summarize(sessions) {
+    const summary = {
+      total: 0,
+      byDay: new Map(),
+      byProject: new Map(),
+      byLanguage: new Map(),
+      byCategory: new Map(),
+    };
+    const add = (totals, key, duration) =>
+      totals.set(key, (totals.get(key) || 0) + duration);
+
+    for (const session of sessions) {
+      summary.total += session.duration;
+      add(summary.byDay, this.getDayKey(session.startTime), session.duration);
+      add(
+        summary.byProject,
+        session.projectName || "Unknown",
+        session.duration
+      );
+      add(
+        summary.byLanguage,
+        session.language ? session.language.name : "Unknown",
+        session.duration
+      );
+      add(summary.byCategory, session.category || "coding", session.duration);
+    }
+    return summary;
+  }
+
+  /**
+   * Get the start and end of a report range
+   * @param {string} range - One of RANGES
+   * @param {Date} now - Current time
+   * @returns {{from: Date, to: Date}}
+   */
+  getRange(range, now) {
+    const today = Utils.getDayStart(now, this.dayStartHour);
+    const tomorrow = this.addDays(today, 1);
+    const weekStart = Utils.getWeekStart(now);
+
+    switch (range) {
+      case RANGES.YESTERDAY:
+        return { from: this.addDays(today, -1), to: today };
+      case RANGES.THIS_WEEK:
+        return { from: weekStart, to: tomorrow };
+      case RANGES.LAST_WEEK:
+        return { from: this.addDays(weekStart, -7), to: weekStart };
+      case RANGES.THIS_MONTH:
+        return {
+          from: new Date(now.getFullYear(), now.getMonth(), 1),
+          to: tomorrow,
+        };
+      case RANGES.LAST_30_DAYS:
+        return { from: this.addDays(today, -29), to: tomorrow };
+      default:
+        return { from: today, to: tomorrow };
+    }
+  }
+
+  /**
+   * Parse a range of days such as "2024-03-01 to 2024-03-15", or a single day
+   * @param {string} text - The range as entered
+   * @returns {{from: Date, to: Date}|null} - Start of the first day and end
+   * of the last, or null if the range isn't valid
+   */
+  parseRange(text) {
+    const parts = text.trim().split(/\s*(?:\bto\b|–|\s-\s)\s*/);
+    if (parts.length > 2) return null;
+
+    const days = parts.map((part) => {
+      const match = part.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      if (!match) return null;
+      const day = new Date(
+        parseInt(match[1]),
+        parseInt(match[2]) - 1,
+        parseInt(match[3]),
+        this.dayStartHour
+      );
+      return day.getDate() === parseInt(match[3]) ? day : null;
+    });
+    if (days.includes(null)) return null;
+
+    const from = days[0];
+    const to = this.addDays(days[days.length - 1], 1);
+    return to > from ? { from, to } : null;
+  }
+
+  /**
+   * Delete month files that ended before the retention period
+   * @param {Date} [now] - Current time
+   */
+  prune(now = new Date()) {
+    if (!this.directory || this.retentionDays === Infinity) return;
+
+    const cutoff = this.getCutoff(now);
+    for (const { name } of this.files.list()) {
+      const [year, month] = name.split(/[-.]/).map((part) => parseInt(part));
+      if (new Date(year, month, 1) <= cutoff) {
+        fs.rmSync(this.files.getPath(name), { force: true });
+      }
+    }
+  }
+
+  /**
+   * Append a line to a month file and index it
+   * @param {string} file - Name of the month file
+   * @param {Object} line - The record or removal marker
+   * @private
+   */
+  appendLine(file, line) {
+    this.files.append(file, [JSON.stringify(line)]);
+    this.sync();
+  }
+
+  /**
+   * Index lines appended to the month files since the last scan. If a file
+   * that was scanned is gone, it was pruned and the history is scanned afresh.
+   * @private
+   */
+  sync() {
+    if (!this.directory) return;
+
+    const cutoff = this.getCutoff(new Date());
+    this.files.scan({
+      onReset: () => this.reset(),
+      onLine: (file, offset, bytes) => {
+        const line = bytes.toString("utf8");
+        if (line.trim()) this.indexLine(file, line, cutoff);
+      },
+    });
+  }
+
+  /**
+   * Add a line to the indexes
+   * @param {string} file - Name of the month file
+   * @param {string} line - The line without the newline
+   * @param {Date} cutoff - Sessions starting before this are beyond the retention
+   * @private
+   */
+  indexLine(file, line, cutoff) {
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch (error) {
+      console.error(`Skipping unreadable line in session history ${file}`);
+      return;
+    }
+
+    if (Array.isArray(parsed.$remove)) {
+      parsed.$remove.forEach((id) => this.unindex(id));
+      return;
+    }
+
+    this.unindex(parsed.id);
+    if (new Date(parsed.startTime) < cutoff) return;
+
+    this.sessions.set(parsed.id, { record: parsed, file });
+    this.addToIndex(this.byDay, this.getDayKey(parsed.startTime), parsed.id);
+    for (const [field, read] of Object.entries(INDEXED_FIELDS)) {
+      this.addToIndex(this.indexes[field], read(parsed), parsed.id);
+    }
+  }
+
+  /**
+   * Remove a session from the indexes
+   * @param {string} id - ID of the session
+   * @private
+   */
+  unindex(id) {
+    const existing = this.sessions.get(id);
+    if (!existing) return;
+
+    const record = existing.record;
+    this.removeFromIndex(this.byDay, this.getDayKey(record.startTime), id);
+    for (const [field, read] of Object.entries(INDEXED_FIELDS)) {
+      this.removeFromIndex(this.indexes[field], read(record), id);
+    }
+    this.sessions.delete(id);
+  }
+
+  /**
+   * Add an ID to the set of an index key
+   * @param {Map<string, Set<string>>} index
+   * @param {string} key
+   * @param {string} id
+   * @private
+   */
+  addToIndex(index, key, id) {
+    if (!index.has(key)) index.set(key, new Set());
+    index.get(key).add(id);
+  }
+
+  /**
+   * Remove an ID from the set of an index key
+   * @param {Map<string, Set<string>>} index
+   * @param {string} key
+   * @param {string} id
+   * @private
+   */
+  removeFromIndex(index, key, id) {
+    const ids = index.get(key);
+    if (!ids) return;
+    ids.delete(id);
+    if (ids.size === 0) index.delete(key);
+  }
+
+  /**
+   * Get the day a time falls in, honoring the day start hour
+   * @param {Date|string} time
+   * @returns {string} - The day as "YYYY-MM-DD"
+   * @private
+   */
+  getDayKey(time) {
+    const day = Utils.getDayStart(new Date(time), this.dayStartHour);
+    return [
+      day.getFullYear(),
+      String(day.getMonth() + 1).padStart(2, "0"),
+      String(day.getDate()).padStart(2, "0"),
+    ].join("-");
+  }
+
+  /**
+   * Get the file of the month a time falls in
+   * @param {Date} time
+   * @returns {string} - File name such as "2024-03.jsonl"
+   * @private
+   */
+  getMonthFile(time) {
+    return `${time.getFullYear()}-${String(time.getMonth() + 1).padStart(
+      2,
+      "0"
+    )}.jsonl`;
+  }
+
+  /**
+   * Get the earliest start of a session within the retention
+   * @param {Date} now - Current time
+   * @returns {Date}
+   * @private
+   */
+  getCutoff(now) {
+    return this.retentionDays === Infinity
+      ? new Date(0)
+      : new Date(now.getTime() - this.retentionDays * DAY_MS);
+  }
+
+  /**
+   * Move a date by a number of days, keeping the time of day
+   * @param {Date} date
+   * @param {number} days
+   * @returns {Date}
+   * @private
+   */
+  addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+  }
+
+  /**
+   * Forget the indexes, so the next access scans all month files
+   * @private
+   */
+  reset() {
+    this.sessions = new Map();
+    this.byDay = new Map();
+    this.indexes = {
+      project: new Map(),
+      language: new Map(),
+      category: new Map(),
+    };
+    this.files.forget();
+  }
+}
+
+module.exports = new HistoryService();
@@ -0,0 +1,121 @@
+const Utils = require("./utils");
+
+// Metric names for the characters and insertions from each source
+const SOURCE_METRICS = {
+  typed: { characters: "typedCharacters", insertions: "typedInsertions" },
+  pasted: { characters: "pastedCharacters", insertions: "pastedInsertions" },
+  ai: { characters: "aiCharacters", insertions: "aiInsertions" },
+};
+
+/**
+ * Classifies inserted text as typed, pasted or generated by an inline
+ * completion or assistant, without keeping any of the text. Keystrokes are
+ * typed; a single insert matching the clipboard is pasted, and one spanning
+ * several lines of code or at least the large insert threshold is generated.
+ * Undo, redo and formatting only restore or reshape existing text, so they
+ * aren't classified at all.
+ */
+class InsertionService {
+  /**
+   * Check if classifying a change needs the clipboard content. The clipboard
+   * is only read for a single insert of more than a keystroke.
+   * @param {vscode.TextDocumentChangeEvent} event
+   * @returns {boolean} - True if the clipboard should be read first
+   */
+  needsClipboard(event) {
+    return (
+      !Utils.isUndoOrRedo(event.reason) &&
+      event.contentChanges.length === 1 &&
+      Utils.getKeystrokeLength(event.contentChanges[0].text) === null
+    );
+  }
+
+  /**
+   * Classify the insertions of a document change
+   * @param {vscode.TextDocumentChangeEvent} event
+   * @param {Object} options
+   * @param {string|null} options.clipboard - Clipboard content, if it was read
+   * @param {number} options.largeInsertThreshold - Inserts of at least this
+   * many characters that weren't pasted are counted as generated
+   * @returns {Object} - Characters and insertions per source as edit metrics
+   */
+  classify(event, { clipboard, largeInsertThreshold }) {
+    const metrics = {};
+
+    // Undo and redo restore text that was already counted
+    if (Utils.isUndoOrRedo(event.reason)) {
+      return metrics;
+    }
+
+    for (const change of event.contentChanges) {
+      const source = this.getSource(change, {
+        single: event.contentChanges.length === 1,
+        clipboard,
+        largeInsertThreshold,
+      });
+      if (!source) continue;
+
+      const names = SOURCE_METRICS[source];
+      metrics[names.characters] =
+        (metrics[names.characters] || 0) + change.text.length;
+      metrics[names.insertions] = (metrics[names.insertions] || 0) + 1;
+    }
+
+    return metrics;
+  }
+
+  /**
+   * Get the source of the text a content change inserted
+   * @param {vscode.TextDocumentContentChangeEvent} change
+   * @param {Object} options
+   * @param {boolean} options.single - Whether it's the only change of its event
+   * @param {string|null} options.clipboard - Clipboard content, if it was read
+   * @param {number} options.largeInsertThreshold - Size of generated inserts
+   * @returns {string|null} - "typed", "pasted", "ai" or null if the change
+   * inserted nothing or only reshaped existing text
+   * @private
+   */
+  getSource(change, { single, clipboard, largeInsertThreshold }) {
+    if (change.text.length === 0) return null;
+    if (Utils.getKeystrokeLength(change.text) !== null) return "typed";
+
+    // Formatters and refactorings change many places at once, and so does
+    // typing with several cursors, which is handled above
+    if (!single) return null;
+
+    const text = change.text.replace(/\r\n/g, "\n");
+    if (clipboard && text === clipboard.replace(/\r\n/g, "\n")) {
+      return "pasted";
+    }
+
+    // Reindenting inserts whitespace only
+    if (!text.trim()) return null;
+
+    if (change.rangeLength > 0) {
+      // Completing the word being typed replaces its start, while a
+      // formatter replaces whole blocks
+      return text.length < largeInsertThreshold ? "typed" : null;
+    }
+
+    const isMultiline = /\n[ \t]*\S/.test(text);
+    return isMultiline || text.length >= largeInsertThreshold ? "ai" : "typed";
+  }
+
+  /**
+   * Get the share of inserted characters from each source
+   * @param {{typed: number, pasted: number, ai: number}} characters -
+   * Characters inserted from each source
+   * @returns {{typed: number, pasted: number, ai: number}} - Shares between 0
+   * and 1, all 0 if nothing was inserted
+   */
+  getShares({ typed = 0, pasted = 0, ai = 0 }) {
+    const total = typed + pasted + ai;
+    return {
+      typed: total ? typed / total : 0,
+      pasted: total ? pasted / total : 0,
+      ai: total ? ai / total : 0,
+    };
+  }
+}
+
+module.exports = new InsertionService();
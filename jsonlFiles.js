@@ -0,0 +1,144 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @typedef {Object} JsonlFile
+ * @property {string} name - File name in the directory
+ * @property {RegExpExecArray} match - Match of the file name pattern
+ * @property {number} size - Size in bytes
+ */
+
+/**
+ * Append-only JSONL files in a directory that several windows write to.
+ * Appends end a partial line a crash left behind first, and scans only pass
+ * on complete lines appended since the last scan, since another window may
+ * still be writing.
+ */
+class JsonlFiles {
+  /**
+   * @param {RegExp} pattern - Pattern of the names of the files
+   */
+  constructor(pattern) {
+    this.pattern = pattern;
+    this.directory = null;
+    this.forget();
+  }
+
+  /**
+   * Use the files in a directory, creating it
+   * @param {string} directory
+   */
+  setDirectory(directory) {
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+    this.forget();
+  }
+
+  /**
+   * List the files ordered by name
+   * @returns {JsonlFile[]}
+   */
+  list() {
+    if (!this.directory) return [];
+
+    return fs
+      .readdirSync(this.directory)
+      .map((name) => this.pattern.exec(name))
+      .filter(Boolean)
+      .map((match) => ({
+        name: match[0],
+        match,
+        size: fs.statSync(this.getPath(match[0])).size,
+      }))
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  }
+
+  /**
+   * Append lines to a file, creating it
+   * @param {string} name - File name
+   * @param {string[]} lines - Lines without newlines
+   */
+  append(name, lines) {
+    const file = this.getPath(name);
+
+    // A crash can leave a partial line behind; end it so the new lines don't
+    // get glued to it, and the scan skips it as unreadable
+    const size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    const partial = size > 0 && this.readBytes(name, size - 1, 1)[0] !== 0x0a;
+    fs.appendFileSync(
+      file,
+      `${partial ? "\n" : ""}${lines.map((line) => `${line}\n`).join("")}`
+    );
+  }
+
+  /**
+   * Pass on the lines appended since the last scan. If a file that was
+   * scanned is gone, it was deleted or rewritten and all files are scanned
+   * afresh.
+   * @param {Object} handlers
+   * @param {Function} handlers.onReset - Called before scanning afresh, to
+   * forget everything read so far
+   * @param {Function} handlers.onLine - Called with the file name, the byte
+   * offset of the line and its bytes without the newline
+   */
+  scan({ onReset, onLine }) {
+    const files = this.list();
+    const names = new Set(files.map((file) => file.name));
+    if ([...this.scanned.keys()].some((name) => !names.has(name))) {
+      this.forget();
+      onReset();
+    }
+
+    for (const file of files) {
+      const start = this.scanned.get(file.name) || 0;
+      if (file.size <= start) continue;
+
+      const bytes = this.readBytes(file.name, start, file.size - start);
+
+      // Lines are only passed on once complete; another window may be writing
+      let lineStart = 0;
+      for (let index = 0; index < bytes.length; index++) {
+        if (bytes[index] !== 0x0a) continue;
+        onLine(file.name, start + lineStart, bytes.subarray(lineStart, index));
+        lineStart = index + 1;
+      }
+      this.scanned.set(file.name, start + lineStart);
+    }
+  }
+
+  /**
+   * Read a range of bytes from a file
+   * @param {string} name - File name
+   * @param {number} position - Byte offset to start at
+   * @param {number} length - Number of bytes
+   * @returns {Buffer}
+   */
+  readBytes(name, position, length) {
+    const buffer = Buffer.alloc(length);
+    const descriptor = fs.openSync(this.getPath(name), "r");
+    try {
+      const read = fs.readSync(descriptor, buffer, 0, length, position);
+      return buffer.subarray(0, read);
+    } finally {
+      fs.closeSync(descriptor);
+    }
+  }
+
+  /**
+   * Get the full path of a file
+   * @param {string} name - File name
+   * @returns {string}
+   */
+  getPath(name) {
+    return path.join(this.directory, name);
+  }
+
+  /**
+   * Forget how far the files were scanned, so the next scan starts over
+   */
+  forget() {
+    this.scanned = new Map();
+  }
+}
+
+module.exports = JsonlFiles;
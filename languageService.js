@@ -98,9 +98,10 @@ class LanguageService {
   
   /**
    * Initialize by fetching languages from API
+   * @param {boolean} [fetchFromApi] - False to only use cached or default languages
    * @returns {Promise} - Resolves when initialization is complete
    */
-  async initialize() {
+  async initialize(fetchFromApi = true) {
     // First try to get languages from cache
     const cachedLanguages = storageService.getLanguageCache();
     if (cachedLanguages) {
@@ -108,6 +109,8 @@ class LanguageService {
       return;
     }
     
+    if (!fetchFromApi) return;
+    
     // If not cached, try to fetch from API
     try {
       const languages = await apiService.getLanguages();
@@ -0,0 +1,210 @@
+const { v4: uuidv4 } = require("uuid");
+
+// Units accepted in durations like "1h 30m"
+const DURATION_UNITS = { h: 3600, m: 60, s: 1 };
+
+/**
+ * Service for sessions the user logs or corrects by hand
+ */
+class ManualEntryService {
+  /**
+   * Parse a duration such as "45", "45m", "1h30m", "1h 30m" or "1:30".
+   * Plain numbers are minutes.
+   * @param {string} text - The duration as entered
+   * @returns {number|null} - Duration in seconds, or null if it isn't valid
+   */
+  parseDuration(text) {
+    const value = text.trim().toLowerCase();
+
+    if (/^\d+$/.test(value)) {
+      return this.positive(parseInt(value) * 60);
+    }
+
+    const clock = value.match(/^(\d+):([0-5]\d)$/);
+    if (clock) {
+      return this.positive(parseInt(clock[1]) * 3600 + parseInt(clock[2]) * 60);
+    }
+
+    if (!/^(\d+\s*[hms]\s*)+$/.test(value)) return null;
+
+    let seconds = 0;
+    for (const [, amount, unit] of value.matchAll(/(\d+)\s*([hms])/g)) {
+      seconds += parseInt(amount) * DURATION_UNITS[unit];
+    }
+    return this.positive(seconds);
+  }
+
+  /**
+   * Parse a time of day such as "9:30", "14:05" or "2:05pm" on the day of a
+   * reference date
+   * @param {string} text - The time as entered
+   * @param {Date} reference - Date whose day the time falls on
+   * @returns {Date|null} - The time, or null if it isn't valid
+   */
+  parseTime(text, reference) {
+    const match = text
+      .trim()
+      .toLowerCase()
+      .match(/^(\d{1,2})(?::([0-5]\d))?\s*(am|pm)?$/);
+    if (!match) return null;
+
+    let hours = parseInt(match[1]);
+    const minutes = match[2] ? parseInt(match[2]) : 0;
+    const meridiem = match[3];
+
+    if (meridiem) {
+      if (hours < 1 || hours > 12) return null;
+      hours = (hours % 12) + (meridiem === "pm" ? 12 : 0);
+    } else if (!match[2] || hours > 23) {
+      // A bare number is a duration, not a time
+      return null;
+    }
+
+    const time = new Date(reference);
+    time.setHours(hours, minutes, 0, 0);
+    return time;
+  }
+
+  /**
+   * Parse a range of times such as "9:00-10:30" or "9am to 11am"
+   * @param {string} text - The range as entered
+   * @param {Date} startDay - Date whose day the start falls on
+   * @param {Date} [endDay] - Date whose day the end falls on, the start's by default
+   * @returns {{startTime: Date, endTime: Date}|null} - The range, or null if
+   * it isn't valid or doesn't end after it starts
+   */
+  parseRange(text, startDay, endDay = startDay) {
+    const parts = text.split(/\s*(?:-|–|\bto\b)\s*/);
+    if (parts.length !== 2) return null;
+
+    const startTime = this.parseTime(parts[0], startDay);
+    const endTime = this.parseTime(parts[1], endDay);
+    if (!startTime || !endTime || endTime <= startTime) return null;
+    return { startTime, endTime };
+  }
+
+  /**
+   * Parse when logged time happened: the last occurrence of a range of times
+   * such as "9:00-10:30", or a duration that ends now
+   * @param {string} text - The period as entered
+   * @param {Date} now - Current time
+   * @returns {{startTime: Date, endTime: Date}|null} - The period, or null if
+   * it isn't valid
+   */
+  parsePeriod(text, now) {
+    const range = this.parseRange(text, now);
+    if (range) {
+      // A range later than now is meant for yesterday
+      if (range.endTime > now) {
+        range.startTime.setDate(range.startTime.getDate() - 1);
+        range.endTime.setDate(range.endTime.getDate() - 1);
+      }
+      return range;
+    }
+
+    const duration = this.parseDuration(text);
+    if (!duration) return null;
+    return {
+      startTime: new Date(now.getTime() - duration * 1000),
+      endTime: new Date(now),
+    };
+  }
+
+  /**
+   * Create a session for time logged by hand
+   * @param {Object} entry
+   * @param {Object} entry.language - Language object
+   * @param {string} entry.projectName - Project the time goes to
+   * @param {string} entry.category - Activity category
+   * @param {Date} entry.startTime - Start of the logged time
+   * @param {Date} entry.endTime - End of the logged time
+   * @param {string} [entry.note] - Optional note
+   * @returns {Object} - The session
+   */
+  createSession({ language, projectName, category, startTime, endTime, note }) {
+    return {
+      id: uuidv4(),
+      language,
+      projectName,
+      filePath: "",
+      category,
+      startTime,
+      endTime,
+      duration: Math.round((endTime - startTime) / 1000),
+      manual: true,
+      note: note || null,
+    };
+  }
+
+  /**
+   * Trim a session to a shorter period within it. The active time, reading,
+   * writing and focus time and the edit metrics shrink by the share of the
+   * period that is kept.
+   * @param {Object} session - The session to trim
+   * @param {Date} startTime - New start, not before the session's start
+   * @param {Date} endTime - New end, not after the session's end
+   * @returns {Object|null} - The trimmed session, or null if the period
+   * isn't inside the session
+   */
+  trimSession(session, startTime, endTime) {
+    const sessionStart = new Date(session.startTime);
+    const sessionEnd = new Date(session.endTime);
+
+    // Times are entered to the minute, so the minute a session starts or ends
+    // in stands for its exact edge
+    if (this.isSameMinute(startTime, sessionStart)) startTime = sessionStart;
+    if (this.isSameMinute(endTime, sessionEnd)) endTime = sessionEnd;
+
+    if (startTime < sessionStart || endTime > sessionEnd) return null;
+    if (endTime <= startTime) return null;
+
+    const totalMs = sessionEnd - sessionStart;
+    const share = totalMs > 0 ? (endTime - startTime) / totalMs : 1;
+    const duration = Math.round(session.duration * share);
+
+    const trimmed = { ...session, startTime, endTime, duration };
+    if (session.writingDuration !== undefined) {
+      trimmed.writingDuration = Math.min(
+        duration,
+        Math.round(session.writingDuration * share)
+      );
+      trimmed.readingDuration = duration - trimmed.writingDuration;
+    }
+    if (session.focusDuration !== undefined) {
+      trimmed.focusDuration = Math.min(
+        duration,
+        Math.round(session.focusDuration * share)
+      );
+    }
+    if (session.metrics) {
+      trimmed.metrics = {};
+      for (const [field, value] of Object.entries(session.metrics)) {
+        trimmed.metrics[field] = Math.round(value * share);
+      }
+    }
+    return trimmed;
+  }
+
+  /**
+   * Check if two times fall in the same minute
+   * @param {Date} a
+   * @param {Date} b
+   * @returns {boolean}
+   * @private
+   */
+  isSameMinute(a, b) {
+    return Math.floor(a / 60000) === Math.floor(b / 60000);
+  }
+
+  /**
+   * Keep a positive number of seconds
+   * @param {number} seconds
+   * @returns {number|null} - The seconds, or null if not positive
+   * @private
+   */
+  positive(seconds) {
+    return seconds > 0 ? seconds : null;
+  }
+}
+
+module.exports = new ManualEntryService();
@@ -0,0 +1,104 @@
+const vscode = require("vscode");
+
+// Scheme of the text documents of notebook cells
+const CELL_SCHEME = "vscode-notebook-cell";
+
+/**
+ * Service for attributing notebook cell activity to the notebook file
+ */
+class NotebookService {
+  /**
+   * Check if a URI belongs to a notebook cell
+   * @param {vscode.Uri} uri
+   * @returns {boolean} - True for cell documents
+   */
+  isCell(uri) {
+    return uri.scheme === CELL_SCHEME;
+  }
+
+  /**
+   * Find the notebook cell a cell document belongs to
+   * @param {vscode.Uri} uri - URI of the cell document
+   * @returns {vscode.NotebookCell|null} - The cell or null if its notebook is closed
+   */
+  findCell(uri) {
+    // Notebook APIs are only available from VS Code 1.67
+    const notebooks = vscode.workspace.notebookDocuments || [];
+    const key = uri.toString();
+
+    for (const notebook of notebooks) {
+      const cell = notebook
+        .getCells()
+        .find((candidate) => candidate.document.uri.toString() === key);
+      if (cell) return cell;
+    }
+    return null;
+  }
+
+  /**
+   * Get the cell that is selected in a notebook editor
+   * @param {vscode.NotebookEditor} editor
+   * @returns {vscode.NotebookCell|null} - The selected cell, or the first cell
+   * if nothing is selected, or null if the notebook is empty
+   */
+  getSelectedCell(editor) {
+    const notebook = editor.notebook;
+    if (notebook.cellCount === 0) return null;
+
+    const selection = editor.selections && editor.selections[0];
+    const index = selection ? selection.start : 0;
+    return notebook.cellAt(Math.min(index, notebook.cellCount - 1));
+  }
+
+  /**
+   * Get the selected cell of the editor showing a notebook, preferring the
+   * active notebook editor
+   * @param {vscode.NotebookDocument} notebook
+   * @returns {vscode.NotebookCell|null} - The selected cell, or null if no
+   * editor shows the notebook or it is empty
+   */
+  getEditorCell(notebook) {
+    const editors = [
+      vscode.window.activeNotebookEditor,
+      ...(vscode.window.visibleNotebookEditors || []),
+    ];
+    const editor = editors.find(
+      (candidate) => candidate && candidate.notebook === notebook
+    );
+    return editor ? this.getSelectedCell(editor) : null;
+  }
+
+  /**
+   * Get the language of a notebook's kernel, so markdown cells are credited
+   * to the language the notebook is written in
+   * @param {vscode.NotebookDocument} notebook
+   * @returns {string|null} - Language name or ID, or null if unknown
+   */
+  getKernelLanguage(notebook) {
+    // Jupyter keeps the kernel's language_info in the notebook metadata,
+    // nested one level deeper in older versions of the extension
+    const metadata = notebook.metadata || {};
+    const languageInfo =
+      metadata.language_info ||
+      (metadata.metadata && metadata.metadata.language_info);
+    if (languageInfo && languageInfo.name) {
+      return languageInfo.name;
+    }
+
+    const codeCell = notebook
+      .getCells()
+      .find((cell) => cell.kind === vscode.NotebookCellKind.Code);
+    return codeCell ? codeCell.document.languageId : null;
+  }
+
+  /**
+   * Get the kind of a cell
+   * @param {vscode.NotebookCell} cell
+   * @returns {string} - "code" or "markdown"
+   */
+  getCellKind(cell) {
+    return cell.kind === vscode.NotebookCellKind.Code ? "code" : "markdown";
+  }
+}
+
+module.exports = new NotebookService();
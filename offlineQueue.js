@@ -0,0 +1,367 @@
+const fs = require("fs");
+const path = require("path");
+const JsonlFiles = require("./jsonlFiles");
+
+// Appends go to a new segment once the current one reaches this size
+const SEGMENT_MAX_BYTES = 256 * 1024;
+
+// Compaction runs once dead lines outnumber the live records, and there are
+// at least this many of them
+const COMPACTION_MIN_DEAD_LINES = 100;
+
+const SEGMENT_PATTERN = /^segment-(\d+)\.jsonl$/;
+
+/**
+ * @typedef {Object} QueueEntry
+ * @property {string} id - ID of the record
+ * @property {string} segment - File name of the segment holding the record
+ * @property {number} offset - Byte offset of the record's line in the segment
+ * @property {number} length - Byte length of the line, without the newline
+ * @property {number|null} time - End time of the session in milliseconds, if it has one
+ */
+
+/**
+ * @typedef {Object} Retention
+ * @property {number} maxBytes - Largest size of the live records
+ * @property {number} maxAgeMs - Oldest age of a session, by its end time
+ */
+
+/**
+ * Offline queue stored as append-only JSONL segments. A record with the ID of
+ * a queued record replaces it in place, and removals are appended as marker
+ * lines. The live records are indexed in memory by scanning the segments,
+ * picking up lines other windows appended since the last scan. Compaction
+ * rewrites the live records into a new segment once most lines are dead,
+ * dropping records beyond the retention limits.
+ */
+class OfflineQueue {
+  constructor() {
+    this.directory = null;
+    this.files = new JsonlFiles(SEGMENT_PATTERN);
+    this.retention = { maxBytes: Infinity, maxAgeMs: Infinity };
+    this.onDiscard = null;
+    this.canCompact = null;
+    this.compactionTimer = null;
+    this.reset();
+  }
+
+  /**
+   * Set up the queue in a directory
+   * @param {string} directory - Directory of the segment files
+   * @param {Object} [options]
+   * @param {Retention} [options.retention] - Limits applied by compaction
+   * @param {Function} [options.onDiscard] - Called with the number of records
+   * compaction dropped because of the retention limits
+   * @param {Function} [options.canCompact] - Called right before a scheduled
+   * compaction, which is skipped unless it returns true
+   */
+  initialize(directory, { retention, onDiscard, canCompact } = {}) {
+    this.directory = directory;
+    this.retention = { maxBytes: Infinity, maxAgeMs: Infinity, ...retention };
+    this.onDiscard = onDiscard || null;
+    this.canCompact = canCompact || null;
+    this.files.setDirectory(directory);
+    this.reset();
+  }
+
+  /**
+   * Change the limits applied by compaction
+   * @param {Retention} retention
+   */
+  setRetention(retention) {
+    this.retention = { maxBytes: Infinity, maxAgeMs: Infinity, ...retention };
+  }
+
+  /**
+   * Append records, replacing queued records with the same ID
+   * @param {Object[]} records - Serializable records with an id
+   */
+  append(records) {
+    if (records.length === 0) return;
+    this.appendLines(records.map((record) => JSON.stringify(record)));
+  }
+
+  /**
+   * Read the live records from the head of the queue
+   * @param {number} [limit] - Maximum number of records
+   * @returns {Object[]} - Records in queue order
+   */
+  read(limit = Infinity) {
+    this.sync();
+    try {
+      return this.readEntries(this.entries.slice(0, limit));
+    } catch (error) {
+      // A segment was compacted away by another window since the last scan
+      this.reset();
+      this.sync();
+      return this.readEntries(this.entries.slice(0, limit));
+    }
+  }
+
+  /**
+   * Get the number of live records
+   * @returns {number}
+   */
+  count() {
+    this.sync();
+    return this.entries.length;
+  }
+
+  /**
+   * Remove records
+   * @param {string[]} ids - IDs of the records to remove
+   */
+  remove(ids) {
+    this.sync();
+    ids = ids.filter((id) => this.byId.has(id));
+    if (ids.length === 0) return;
+
+    this.appendLines([JSON.stringify({ $remove: ids })]);
+    this.scheduleCompaction();
+  }
+
+  /**
+   * Remove all records
+   */
+  clear() {
+    for (const segment of this.listSegments()) {
+      fs.rmSync(path.join(this.directory, segment.name), { force: true });
+    }
+    this.reset();
+  }
+
+  /**
+   * Compact in the background if enough lines are dead or records exceed
+   * the retention limits
+   */
+  scheduleCompaction() {
+    if (this.compactionTimer || !this.needsCompaction(Date.now())) return;
+
+    this.compactionTimer = setTimeout(() => {
+      this.compactionTimer = null;
+      if (this.canCompact && !this.canCompact()) return;
+      try {
+        this.compact();
+      } catch (error) {
+        console.error("Failed to compact the offline queue:", error);
+      }
+    }, 0);
+  }
+
+  /**
+   * Rewrite the live records into a new segment and delete the old ones.
+   * The new segment sorts after the old ones, so a crash before they are
+   * deleted only leaves records that the new segment replaces.
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {number} - Number of records dropped because of the retention limits
+   */
+  compact(now = Date.now()) {
+    const records = this.read();
+    const oldSegments = this.listSegments();
+
+    // Deletions have no end time and always stay
+    const kept = records
+      .filter((record) => {
+        const time = Date.parse(record.endTime);
+        return isNaN(time) || now - time <= this.retention.maxAgeMs;
+      })
+      .map((record) => ({ record, line: JSON.stringify(record) }));
+
+    // Over the size limit the oldest sessions go first. Deletions stay here
+    // too, or a session deleted after its upload would stay on the server.
+    const lineSize = (line) => Buffer.byteLength(line) + 1;
+    let excess =
+      kept.reduce((total, { line }) => total + lineSize(line), 0) -
+      this.retention.maxBytes;
+    const lines = kept
+      .filter(({ record, line }) => {
+        if (excess <= 0 || record.deleted) return true;
+        excess -= lineSize(line);
+        return false;
+      })
+      .map(({ line }) => line);
+
+    const lastNumber = oldSegments.length
+      ? oldSegments[oldSegments.length - 1].number
+      : 0;
+    const temporary = path.join(this.directory, "compaction.tmp");
+    fs.writeFileSync(temporary, lines.map((line) => `${line}\n`).join(""));
+    fs.renameSync(
+      temporary,
+      path.join(this.directory, this.getSegmentName(lastNumber + 1))
+    );
+
+    for (const segment of oldSegments) {
+      fs.rmSync(path.join(this.directory, segment.name), { force: true });
+    }
+    this.reset();
+
+    const dropped = records.length - lines.length;
+    if (dropped > 0 && this.onDiscard) {
+      this.onDiscard(dropped);
+    }
+    return dropped;
+  }
+
+  /**
+   * Append lines to the current segment and index them
+   * @param {string[]} lines - Lines without newlines
+   * @private
+   */
+  appendLines(lines) {
+    this.sync();
+
+    const segments = this.listSegments();
+    let segment = segments[segments.length - 1];
+    if (!segment || segment.size >= SEGMENT_MAX_BYTES) {
+      segment = {
+        name: this.getSegmentName((segment ? segment.number : 0) + 1),
+        size: 0,
+      };
+    }
+
+    this.files.append(segment.name, lines);
+    this.sync();
+  }
+
+  /**
+   * Index lines appended to the segments since the last scan. If a segment
+   * that was scanned is gone, the queue was compacted and is scanned afresh.
+   * @private
+   */
+  sync() {
+    this.files.scan({
+      onReset: () => this.reset(),
+      onLine: (segment, offset, bytes) =>
+        this.indexLine(segment, offset, bytes),
+    });
+  }
+
+  /**
+   * Add a line to the index
+   * @param {string} segment - Name of the segment
+   * @param {number} offset - Byte offset of the line
+   * @param {Buffer} bytes - The line without the newline
+   * @private
+   */
+  indexLine(segment, offset, bytes) {
+    let line;
+    try {
+      line = JSON.parse(bytes.toString("utf8"));
+    } catch (error) {
+      console.error(`Skipping unreadable line in offline queue ${segment}`);
+      this.deadLines++;
+      return;
+    }
+
+    if (Array.isArray(line.$remove)) {
+      const removed = new Set(line.$remove);
+      this.entries = this.entries.filter((entry) => !removed.has(entry.id));
+      for (const id of removed) {
+        if (this.byId.delete(id)) this.deadLines++;
+      }
+      this.deadLines++;
+      return;
+    }
+
+    const time = Date.parse(line.endTime);
+    const location = {
+      segment,
+      offset,
+      length: bytes.length,
+      time: isNaN(time) ? null : time,
+    };
+
+    const existing = this.byId.get(line.id);
+    if (existing) {
+      Object.assign(existing, location);
+      this.deadLines++;
+    } else {
+      const entry = { id: line.id, ...location };
+      this.entries.push(entry);
+      this.byId.set(line.id, entry);
+    }
+  }
+
+  /**
+   * Read the records of index entries
+   * @param {QueueEntry[]} entries
+   * @returns {Object[]} - The records
+   * @private
+   */
+  readEntries(entries) {
+    return entries.map((entry) =>
+      JSON.parse(
+        this.files
+          .readBytes(entry.segment, entry.offset, entry.length)
+          .toString("utf8")
+      )
+    );
+  }
+
+  /**
+   * Check if compaction is due
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean}
+   * @private
+   */
+  needsCompaction(now) {
+    if (
+      this.deadLines >= COMPACTION_MIN_DEAD_LINES &&
+      this.deadLines > this.entries.length
+    ) {
+      return true;
+    }
+
+    const size = this.entries.reduce(
+      (total, entry) => total + entry.length + 1,
+      0
+    );
+    return (
+      size > this.retention.maxBytes ||
+      this.entries.some(
+        (entry) =>
+          entry.time !== null && now - entry.time > this.retention.maxAgeMs
+      )
+    );
+  }
+
+  /**
+   * List the segment files in order
+   * @returns {Array<{name: string, number: number, size: number}>}
+   * @private
+   */
+  listSegments() {
+    return this.files
+      .list()
+      .map((file) => ({
+        name: file.name,
+        number: parseInt(file.match[1]),
+        size: file.size,
+      }))
+      .sort((a, b) => a.number - b.number);
+  }
+
+  /**
+   * Get the file name of a segment
+   * @param {number} number - Number of the segment
+   * @returns {string}
+   * @private
+   */
+  getSegmentName(number) {
+    return `segment-${String(number).padStart(6, "0")}.jsonl`;
+  }
+
+  /**
+   * Forget the index, so the next access scans all segments
+   * @private
+   */
+  reset() {
+    this.entries = [];
+    this.byId = new Map();
+    this.files.forget();
+    this.deadLines = 0;
+  }
+}
+
+module.exports = new OfflineQueue();
@@ -0,0 +1,269 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const { minimatch } = require("minimatch");
+const schema = require("./schemas/slopboard.schema.json");
+
+const CONFIG_FILE = ".slopboard.json";
+
+/**
+ * @typedef {Object} ProjectConfig
+ * @property {string} [name] - Project display name
+ * @property {string[]} [tags] - Tags for every session in the project
+ * @property {string} [client] - Client the work is done for
+ * @property {string} [billingCode] - Billing code for every session in the project
+ * @property {string[]} [exclude] - Globs of files that are never tracked
+ * @property {Object<string, string>} [languages] - Language names by glob
+ */
+
+/**
+ * Service for the tracking configuration committed in a workspace folder,
+ * read from .slopboard.json or the "slopboard" section of its settings
+ */
+class ProjectConfigService {
+  constructor() {
+    this.configs = new Map();
+    // Last warning shown for each configuration source, so reloading an
+    // unchanged configuration doesn't repeat it
+    this.warnings = new Map();
+  }
+
+  /**
+   * Watch configuration files so changes apply without a reload
+   * @param {vscode.ExtensionContext} context
+   */
+  initialize(context) {
+    const watcher = vscode.workspace.createFileSystemWatcher(
+      `**/${CONFIG_FILE}`
+    );
+    const reload = () => this.configs.clear();
+
+    context.subscriptions.push(
+      watcher,
+      watcher.onDidCreate(reload),
+      watcher.onDidChange(reload),
+      watcher.onDidDelete(reload),
+      vscode.workspace.onDidChangeWorkspaceFolders(reload),
+      vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration("slopboard")) {
+          reload();
+        }
+      })
+    );
+  }
+
+  /**
+   * Get the project configuration for a file
+   * @param {vscode.Uri} uri - URI of the file
+   * @returns {ProjectConfig} - The configuration, empty if there is none
+   */
+  getConfig(uri) {
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(uri);
+    if (!workspaceFolder) return {};
+
+    const key = workspaceFolder.uri.toString();
+    if (!this.configs.has(key)) {
+      this.configs.set(key, this.loadConfig(workspaceFolder));
+    }
+
+    return this.configs.get(key);
+  }
+
+  /**
+   * Check if a file is excluded by its project configuration
+   * @param {vscode.Uri} uri - URI of the file
+   * @param {string} relativePath - Path of the file relative to its folder, with forward slashes
+   * @returns {boolean} - True if the file must not be tracked
+   */
+  isExcluded(uri, relativePath) {
+    const { exclude = [] } = this.getConfig(uri);
+    return exclude.some((pattern) =>
+      minimatch(relativePath, pattern, { dot: true })
+    );
+  }
+
+  /**
+   * Get the language a file is overridden to by its project configuration
+   * @param {vscode.Uri} uri - URI of the file
+   * @param {string} relativePath - Path of the file relative to its folder, with forward slashes
+   * @returns {string|null} - Language name or null if not overridden
+   */
+  getLanguageOverride(uri, relativePath) {
+    const { languages = {} } = this.getConfig(uri);
+    const pattern = Object.keys(languages).find((glob) =>
+      minimatch(relativePath, glob, { dot: true })
+    );
+    return pattern ? languages[pattern] : null;
+  }
+
+  /**
+   * Load and validate the configuration of a workspace folder
+   * @param {vscode.WorkspaceFolder} workspaceFolder
+   * @returns {ProjectConfig} - The valid part of the configuration
+   * @private
+   */
+  loadConfig(workspaceFolder) {
+    const fileSource = `${workspaceFolder.name}/${CONFIG_FILE}`;
+
+    // The committed file wins over the settings section
+    if (workspaceFolder.uri.scheme === "file") {
+      const file = path.join(workspaceFolder.uri.fsPath, CONFIG_FILE);
+      try {
+        return this.checkConfig(
+          JSON.parse(fs.readFileSync(file, "utf8")),
+          fileSource
+        );
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          this.warn(
+            fileSource,
+            `Could not read ${fileSource}: ${error.message}`
+          );
+          return {};
+        }
+      }
+    } else {
+      // Remote and virtual file systems can only be read asynchronously, so
+      // the settings apply until the file has been read
+      this.loadRemoteConfig(workspaceFolder, fileSource);
+    }
+
+    return this.checkConfig(
+      vscode.workspace
+        .getConfiguration(undefined, workspaceFolder.uri)
+        .get("slopboard", null),
+      `the "slopboard" settings of ${workspaceFolder.name}`
+    );
+  }
+
+  /**
+   * Read the configuration file of a remote or virtual workspace folder and
+   * replace the cached configuration with it
+   * @param {vscode.WorkspaceFolder} workspaceFolder
+   * @param {string} source - Name of the file, for warnings
+   * @private
+   */
+  async loadRemoteConfig(workspaceFolder, source) {
+    let content;
+    try {
+      content = await vscode.workspace.fs.readFile(
+        vscode.Uri.joinPath(workspaceFolder.uri, CONFIG_FILE)
+      );
+    } catch (error) {
+      // No configuration file
+      return;
+    }
+
+    let config = {};
+    try {
+      config = this.checkConfig(
+        JSON.parse(Buffer.from(content).toString("utf8")),
+        source
+      );
+    } catch (error) {
+      this.warn(source, `Could not read ${source}: ${error.message}`);
+    }
+
+    // Skip if the cache was cleared while reading, the next lookup reloads
+    const key = workspaceFolder.uri.toString();
+    if (this.configs.has(key)) {
+      this.configs.set(key, config);
+    }
+  }
+
+  /**
+   * Validate a configuration and keep its valid properties
+   * @param {*} config - The configuration as read
+   * @param {string} source - Where the configuration came from, for warnings
+   * @returns {ProjectConfig} - The valid part of the configuration
+   * @private
+   */
+  checkConfig(config, source) {
+    if (!config) return {};
+
+    const errors = this.validate(config, schema, "");
+    if (errors.length > 0) {
+      this.warn(
+        source,
+        `Ignoring invalid entries in ${source}: ${errors
+          .map((error) => error.message)
+          .join("; ")}`
+      );
+    } else {
+      // A problem that comes back after being fixed is reported again
+      this.warnings.delete(source);
+    }
+
+    // Keep the properties that are valid
+    const invalid = new Set(errors.map((error) => error.property));
+    if (invalid.has("")) return {};
+    return Object.fromEntries(
+      Object.entries(config).filter(([property]) => !invalid.has(property))
+    );
+  }
+
+  /**
+   * Show a warning about a configuration source, unless it is the one
+   * already shown for that source
+   * @param {string} source - Where the configuration came from
+   * @param {string} message - The warning
+   * @private
+   */
+  warn(source, message) {
+    if (this.warnings.get(source) === message) return;
+
+    this.warnings.set(source, message);
+    vscode.window.showWarningMessage(message);
+  }
+
+  /**
+   * Validate a value against the subset of JSON schema our schema uses
+   * @param {*} value - The value to validate
+   * @param {Object} valueSchema - Schema of the value
+   * @param {string} pointer - Location of the value, for error messages
+   * @returns {Array<{property: string, message: string}>} - Validation errors
+   * @private
+   */
+  validate(value, valueSchema, pointer) {
+    const property = pointer.split("/")[1] || "";
+    const location = pointer || "the configuration";
+    const type = Array.isArray(value) ? "array" : typeof value;
+
+    if (value === null || type !== valueSchema.type) {
+      return [
+        {
+          property,
+          message: `${location} must be of type ${valueSchema.type}`,
+        },
+      ];
+    }
+
+    const errors = [];
+    if (type === "array" && valueSchema.items) {
+      value.forEach((item, index) => {
+        errors.push(
+          ...this.validate(item, valueSchema.items, `${pointer}/${index}`)
+        );
+      });
+    }
+
+    if (type === "object") {
+      const properties = valueSchema.properties || {};
+      for (const [key, item] of Object.entries(value)) {
+        const itemSchema = properties[key] || valueSchema.additionalProperties;
+        if (itemSchema === false || itemSchema === undefined) {
+          errors.push({
+            property: pointer ? property : key,
+            message: `unknown property ${pointer}/${key}`,
+          });
+        } else if (itemSchema !== true) {
+          errors.push(...this.validate(item, itemSchema, `${pointer}/${key}`));
+        }
+      }
+    }
+
+    return errors;
+  }
+}
+
+module.exports = new ProjectConfigService();
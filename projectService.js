@@ -0,0 +1,162 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const gitService = require("./gitService");
+const projectConfigService = require("./projectConfigService");
+
+// How long a manifest lookup for a directory is reused
+const CACHE_TTL_MS = 30000;
+
+// Manifests that name a project, and how to read the name from each
+const MANIFESTS = [
+  {
+    file: "package.json",
+    read: (content) => JSON.parse(content).name,
+  },
+  {
+    file: "Cargo.toml",
+    read: (content) => readTomlName(content, ["package"]),
+  },
+  {
+    file: "pyproject.toml",
+    read: (content) => readTomlName(content, ["project", "tool.poetry"]),
+  },
+  {
+    file: "go.mod",
+    read: (content) => (/^\s*module\s+(\S+)/m.exec(content) || [])[1],
+  },
+];
+
+/**
+ * Read the name key from the first matching section of a TOML document
+ * @param {string} content - TOML document
+ * @param {string[]} sections - Section names in order of preference
+ * @returns {string|undefined} - The name or undefined if not found
+ */
+function readTomlName(content, sections) {
+  const names = new Map();
+  let section = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    const sectionMatch = /^\s*\[([^\]]+)\]/.exec(line);
+    if (sectionMatch) {
+      section = sectionMatch[1].trim();
+      continue;
+    }
+
+    const nameMatch = /^\s*name\s*=\s*["']([^"']+)["']/.exec(line);
+    if (nameMatch && !names.has(section)) {
+      names.set(section, nameMatch[1]);
+    }
+  }
+
+  return sections.map((name) => names.get(name)).find(Boolean);
+}
+
+/**
+ * Service for resolving the project a file belongs to
+ */
+class ProjectService {
+  constructor() {
+    this.manifestNames = new Map();
+  }
+
+  /**
+   * Resolve the project name for a file using the configured sources
+   * @param {vscode.Uri} uri - URI of the file
+   * @returns {string} - The project name
+   */
+  resolveProject(uri) {
+    const config = vscode.workspace.getConfiguration("slopboardTracker", uri);
+    const workspaceFolder = vscode.workspace.getWorkspaceFolder(uri);
+
+    // A per-folder override wins over everything else, then the name
+    // committed in the project's .slopboard.json
+    const override =
+      config.get("projectName", "") || projectConfigService.getConfig(uri).name;
+    if (override) return override;
+
+    for (const source of config.get("projectNameSources", ["folder"])) {
+      const name = this.resolveFromSource(source, uri, workspaceFolder);
+      if (name) return name;
+    }
+
+    return workspaceFolder
+      ? path.posix.basename(workspaceFolder.uri.path)
+      : "unknown";
+  }
+
+  /**
+   * Resolve a project name from a single source
+   * @param {string} source - "workspace", "manifest", "remote" or "folder"
+   * @param {vscode.Uri} uri - URI of the file
+   * @param {vscode.WorkspaceFolder|undefined} workspaceFolder - Folder of the file
+   * @returns {string|null} - The name or null if the source has none
+   * @private
+   */
+  resolveFromSource(source, uri, workspaceFolder) {
+    switch (source) {
+      case "workspace": {
+        // Untitled workspaces have no meaningful name
+        const workspaceFile = vscode.workspace.workspaceFile;
+        return workspaceFile && workspaceFile.scheme !== "untitled"
+          ? path.posix.basename(workspaceFile.path, ".code-workspace")
+          : null;
+      }
+      case "manifest":
+        return uri.scheme === "file"
+          ? this.findManifestName(
+              path.dirname(uri.fsPath),
+              workspaceFolder && workspaceFolder.uri.fsPath
+            )
+          : null;
+      case "remote":
+        return gitService.getInfo(uri).remoteUrl;
+      case "folder":
+        return workspaceFolder
+          ? path.posix.basename(workspaceFolder.uri.path)
+          : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Find the name in the nearest manifest, without leaving the workspace folder
+   * @param {string} directory - Directory to start looking in
+   * @param {string|undefined} root - Workspace folder path to stop at
+   * @returns {string|null} - The name or null if no manifest names the project
+   * @private
+   */
+  findManifestName(directory, root) {
+    const cached = this.manifestNames.get(directory);
+    if (cached && Date.now() - cached.readAt < CACHE_TTL_MS) {
+      return cached.name;
+    }
+
+    let name = null;
+    for (const manifest of MANIFESTS) {
+      try {
+        const content = fs.readFileSync(
+          path.join(directory, manifest.file),
+          "utf8"
+        );
+        name = manifest.read(content) || null;
+      } catch (error) {
+        // Missing or malformed manifest
+      }
+      if (name) break;
+    }
+
+    const parent = path.dirname(directory);
+    const isRoot = !root || directory === root || parent === directory;
+    if (!name && !isRoot) {
+      name = this.findManifestName(parent, root);
+    }
+
+    this.manifestNames.set(directory, { name, readAt: Date.now() });
+    return name;
+  }
+}
+
+module.exports = new ProjectService();
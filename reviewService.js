@@ -0,0 +1,121 @@
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+
+// Schemes of documents that show a version of a workspace file for review:
+// the git extension's diffs and merge inputs, the inline merge conflict
+// comparison, GitLens and the GitHub Pull Requests extension
+const REVIEW_SCHEMES = [
+  "git",
+  "gitlens",
+  "merge-conflict.conflict-diff",
+  "pr",
+  "review",
+];
+
+/**
+ * Service for recognizing code review and mapping review documents back to
+ * the workspace file they show
+ */
+class ReviewService {
+  /**
+   * Check if a URI belongs to a document that shows a file for review
+   * @param {vscode.Uri} uri
+   * @returns {boolean} - True for diff, merge and pull request schemes
+   */
+  isReviewScheme(uri) {
+    return REVIEW_SCHEMES.includes(uri.scheme);
+  }
+
+  /**
+   * Check if a document is shown for review, either because of its scheme or
+   * because it's open in a diff editor
+   * @param {vscode.TextDocument} document
+   * @returns {boolean} - True if time on the document is code review
+   */
+  isReviewing(document) {
+    if (this.isReviewScheme(document.uri)) {
+      return true;
+    }
+
+    // Tab inputs are only available from VS Code 1.67
+    const tabGroups = vscode.window.tabGroups;
+    const tab = tabGroups && tabGroups.activeTabGroup.activeTab;
+    return Boolean(
+      tab &&
+        vscode.TabInputTextDiff &&
+        tab.input instanceof vscode.TabInputTextDiff &&
+        [tab.input.original, tab.input.modified].some(
+          (uri) => uri.toString() === document.uri.toString()
+        )
+    );
+  }
+
+  /**
+   * Get the URI of the workspace file a review document shows
+   * @param {vscode.Uri} uri - URI of a document with a review scheme
+   * @returns {vscode.Uri|null} - The file URI, or null if it can't be worked out
+   */
+  getFileUri(uri) {
+    if (!this.isReviewScheme(uri)) return null;
+
+    const query = this.parseQuery(uri.query);
+
+    // git and GitLens put the absolute path in the query
+    if (typeof query.path === "string" && path.isAbsolute(query.path)) {
+      return vscode.Uri.file(query.path);
+    }
+
+    // Pull request review comments give a path relative to the repository
+    if (typeof query.rootPath === "string" && typeof query.path === "string") {
+      return vscode.Uri.file(path.join(query.rootPath, query.path));
+    }
+
+    // Pull request diffs only give the path relative to the repository
+    if (typeof query.fileName === "string") {
+      return this.findInWorkspace(query.fileName);
+    }
+
+    // The merge conflict comparison keeps the path and stores the scheme
+    if (typeof query.scheme === "string") {
+      return uri.with({ scheme: query.scheme, query: "" });
+    }
+
+    return uri.with({ scheme: "file", authority: "", query: "", fragment: "" });
+  }
+
+  /**
+   * Find the workspace folder that contains a repository-relative path
+   * @param {string} relativePath - Path relative to the repository root
+   * @returns {vscode.Uri|null} - The file URI or null if no folder has it
+   * @private
+   */
+  findInWorkspace(relativePath) {
+    for (const folder of vscode.workspace.workspaceFolders || []) {
+      const candidate = vscode.Uri.file(
+        path.join(folder.uri.fsPath, relativePath)
+      );
+      if (fs.existsSync(candidate.fsPath)) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse the JSON most review schemes keep in the query
+   * @param {string} query - The URI query
+   * @returns {Object} - The parsed query, empty if it isn't JSON
+   * @private
+   */
+  parseQuery(query) {
+    try {
+      const parsed = JSON.parse(query);
+      return parsed && typeof parsed === "object" ? parsed : {};
+    } catch (error) {
+      return {};
+    }
+  }
+}
+
+module.exports = new ReviewService();
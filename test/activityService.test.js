@@ -0,0 +1,39 @@
+const assert = require("assert");
+const activityService = require("../activityService");
+
+suite("Activity Service Tests", () => {
+  teardown(() => {
+    activityService.runningTasks.clear();
+    activityService.terminalCommands.clear();
+  });
+
+  test("Background tasks don't count as running tasks", () => {
+    const watcher = { task: { isBackground: true } };
+    activityService.startTask(watcher);
+    assert.strictEqual(activityService.getOngoingCategory(), null);
+
+    const build = { task: { isBackground: false } };
+    activityService.startTask(build);
+    assert.strictEqual(activityService.getOngoingCategory(), "running tasks");
+
+    activityService.endTask(build);
+    assert.strictEqual(activityService.getOngoingCategory(), null);
+  });
+
+  test("Terminal commands keep the terminal category going", () => {
+    const execution = {};
+    activityService.startTerminalCommand(execution);
+    assert.strictEqual(activityService.getOngoingCategory(), "terminal");
+
+    activityService.endTerminalCommand(execution);
+    assert.strictEqual(activityService.getOngoingCategory(), null);
+  });
+
+  test("Sessions without a category are labelled as coding", () => {
+    assert.strictEqual(activityService.getCategoryLabel(), "Coding");
+    assert.strictEqual(
+      activityService.getCategoryLabel("reviewing"),
+      "Code Review"
+    );
+  });
+});
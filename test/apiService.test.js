@@ -0,0 +1,48 @@
+const assert = require("assert");
+const apiService = require("../apiService");
+
+const sessions = ["a", "b", "c", "d"].map((id) => ({
+  client_session_id: id,
+  idempotency_key: id,
+}));
+
+suite("API Service Tests", () => {
+  test("Batch results are sorted into accepted, rejected and failed", () => {
+    const outcome = apiService.getBatchOutcome(sessions, {
+      results: [
+        { client_session_id: "a", status: "accepted" },
+        { client_session_id: "b", status: "duplicate" },
+        { client_session_id: "c", status: "rejected", error: "Bad language" },
+      ],
+    });
+
+    assert.deepStrictEqual(outcome, {
+      accepted: ["a", "b"],
+      rejected: [{ id: "c", error: "Bad language" }],
+      failed: ["d"],
+    });
+  });
+
+  test("Batches without per-session results are accepted as a whole", () => {
+    const outcome = apiService.getBatchOutcome(sessions, {
+      success: true,
+      count: 4,
+    });
+
+    assert.deepStrictEqual(outcome.accepted, ["a", "b", "c", "d"]);
+    assert.deepStrictEqual(outcome.rejected, []);
+    assert.deepStrictEqual(outcome.failed, []);
+  });
+
+  test("Only bad requests count as permanent rejections", () => {
+    assert.strictEqual(
+      apiService.isRejection({ response: { status: 400 } }),
+      true
+    );
+    assert.strictEqual(
+      apiService.isRejection({ response: { status: 500 } }),
+      false
+    );
+    assert.strictEqual(apiService.isRejection(new Error("timeout")), false);
+  });
+});
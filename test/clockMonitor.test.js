@@ -0,0 +1,64 @@
+const assert = require("assert");
+const { performance } = require("perf_hooks");
+const clockMonitor = require("../clockMonitor");
+
+suite("Clock Monitor Tests", () => {
+  const originalDateNow = Date.now;
+  let wallTime;
+  let monotonicTime;
+
+  /**
+   * Move the clocks forward and check them
+   * @param {number} wallSeconds - Seconds the wall clock moves
+   * @param {number} monotonicSeconds - Seconds the monotonic clock moves
+   * @returns {Object|null} - The detected jump
+   */
+  function advance(wallSeconds, monotonicSeconds) {
+    wallTime += wallSeconds * 1000;
+    monotonicTime += monotonicSeconds * 1000;
+    return clockMonitor.check(30);
+  }
+
+  setup(() => {
+    wallTime = Date.UTC(2023, 0, 1, 12, 0, 0);
+    monotonicTime = 1000;
+    Date.now = () => wallTime;
+    performance.now = () => monotonicTime;
+    clockMonitor.reset();
+  });
+
+  teardown(() => {
+    Date.now = originalDateNow;
+    delete performance.now;
+  });
+
+  test("Regular checks are not jumps", () => {
+    assert.strictEqual(clockMonitor.check(30), null);
+    assert.strictEqual(advance(10, 10), null);
+    assert.strictEqual(advance(12, 10), null);
+  });
+
+  test("Sleep and a clock set ahead are forward jumps", () => {
+    clockMonitor.check(30);
+
+    // The monotonic clock stops while suspended
+    assert.deepStrictEqual(advance(3600, 10), {
+      direction: "forward",
+      wallDelta: 3600,
+      monoDelta: 10,
+    });
+
+    // Where it keeps running, the checks are late instead
+    assert.strictEqual(advance(600, 600).direction, "forward");
+  });
+
+  test("A clock set back is a backward jump", () => {
+    clockMonitor.check(30);
+    assert.deepStrictEqual(advance(-3600, 10), {
+      direction: "backward",
+      wallDelta: -3600,
+      monoDelta: 10,
+    });
+    assert.strictEqual(advance(10, 10), null);
+  });
+});
@@ -5,6 +5,7 @@ const extension = require("../extension");
 const apiService = require("../apiService");
 const storageService = require("../storageService");
 const languageService = require("../languageService");
+const historyService = require("../historyService");
 
 // Mock data
 const mockSession = {
@@ -91,4 +92,23 @@ suite("Slopboard Tracker Tests", () => {
       mockSession
     );
   });
+
+  test("Sessions recorded in local mode are uploaded through the offline queue", async () => {
+    const settings = { mode: "cloud", apiKey: "test-key" };
+    sandbox.stub(vscode.workspace, "getConfiguration").returns({
+      get: (key, fallback) => (key in settings ? settings[key] : fallback),
+    });
+    sandbox.stub(vscode.window, "showInformationMessage").resolves();
+    sandbox
+      .stub(historyService, "query")
+      .returns([{ ...mockSession, localOnly: true }]);
+    sandbox.stub(historyService, "add");
+
+    await extension.uploadLocalHistory();
+
+    const queued = { ...mockSession, localOnly: false };
+    assert(storageService.addOfflineSession.calledOnceWith(queued));
+    assert(historyService.add.calledOnceWith(queued));
+    assert(apiService.sendBatchSessions.notCalled);
+  });
 });
@@ -0,0 +1,73 @@
+const assert = require("assert");
+const focusService = require("../focusService");
+
+const lengths = {
+  workMinutes: 25,
+  breakMinutes: 5,
+  longBreakMinutes: 15,
+  longBreakInterval: 2,
+};
+
+/**
+ * Build a date a number of minutes after a fixed base time
+ * @param {number} minutes
+ * @returns {Date}
+ */
+function at(minutes) {
+  return new Date(Date.UTC(2023, 0, 1, 9, 0, 0) + minutes * 60 * 1000);
+}
+
+suite("Focus Service Tests", () => {
+  setup(() => {
+    focusService.clear();
+  });
+
+  test("Focus intervals alternate with breaks and a long break", () => {
+    focusService.start(at(0), lengths);
+
+    assert.strictEqual(focusService.tick(at(24)), null);
+    assert.deepStrictEqual(focusService.tick(at(25)), {
+      from: "work",
+      to: "break",
+      completed: true,
+    });
+    assert.strictEqual(focusService.isOnBreak(), true);
+    assert.strictEqual(focusService.tick(at(30)).to, "work");
+    assert.strictEqual(focusService.tick(at(55)).to, "long break");
+    assert.deepStrictEqual(focusService.getState(at(60)), {
+      phase: "long break",
+      remaining: 600,
+    });
+  });
+
+  test("Skipped and stopped focus intervals count up to that point", () => {
+    focusService.start(at(0), lengths);
+    assert.deepStrictEqual(focusService.skip(at(10)), {
+      from: "work",
+      to: "break",
+      completed: false,
+    });
+    focusService.skip(at(12));
+    focusService.stop(at(20));
+
+    assert.strictEqual(focusService.isRunning(), false);
+    assert.deepStrictEqual(focusService.getStats(at(0), at(60)), {
+      pomodoros: 0,
+      focusTime: 18 * 60,
+    });
+  });
+
+  test("Sessions get the seconds they overlap focus intervals", () => {
+    focusService.start(at(0), lengths);
+    focusService.tick(at(25));
+
+    assert.strictEqual(
+      focusService.getFocusOverlap(at(20), at(40), at(40)),
+      5 * 60
+    );
+    assert.deepStrictEqual(focusService.getStats(at(0), at(40)), {
+      pomodoros: 1,
+      focusTime: 25 * 60,
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const assert = require("assert");
+const goalService = require("../goalService");
+
+const rust = { id: 1, name: "Rust", color: "#dea584" };
+const python = { id: 2, name: "Python", color: "#3572a5" };
+
+/**
+ * Create a session on a day of January 2023
+ * @param {number} day - Day of the month
+ * @param {Object} language - Language of the session
+ * @param {number} duration - Duration in seconds
+ * @returns {Object} - The session
+ */
+function session(day, language, duration) {
+  return {
+    language,
+    projectName: "engine",
+    startTime: new Date(2023, 0, day, 10, 0).toISOString(),
+    duration,
+  };
+}
+
+suite("Goal Service Tests", () => {
+  const goal = { period: "day", hours: 2, language: "rust" };
+
+  test("Progress only counts matching sessions of the current period", () => {
+    const progress = goalService.getProgress(
+      goal,
+      [
+        session(3, rust, 3600),
+        session(4, rust, 1800),
+        session(4, python, 3600),
+        session(4, rust, 1800),
+      ],
+      new Date(2023, 0, 4, 18, 0)
+    );
+
+    assert.strictEqual(progress.label, "2h 0m rust per day");
+    assert.strictEqual(progress.seconds, 3600);
+    assert.strictEqual(progress.ratio, 0.5);
+    assert.strictEqual(progress.met, false);
+  });
+
+  test("Meeting a goal is recorded once per period and extends streaks", () => {
+    const progressOn = (day) =>
+      goalService.getProgress(
+        goal,
+        [session(day, rust, 7200)],
+        new Date(2023, 0, day, 18, 0)
+      );
+
+    const first = goalService.recordMet(undefined, progressOn(3));
+    assert.strictEqual(first.streak, 1);
+    assert.strictEqual(goalService.recordMet(first, progressOn(3)), null);
+
+    const second = goalService.recordMet(first, progressOn(4));
+    assert.strictEqual(second.streak, 2);
+
+    // Still alive the next day until the goal is met again, broken after that
+    const nextDay = goalService.getProgress(goal, [], new Date(2023, 0, 5, 9));
+    assert.strictEqual(goalService.getStreak(second, nextDay), 2);
+    const dayAfter = goalService.getProgress(goal, [], new Date(2023, 0, 6, 9));
+    assert.strictEqual(goalService.getStreak(second, dayAfter), 0);
+    assert.strictEqual(goalService.recordMet(second, progressOn(6)).streak, 1);
+  });
+
+  test("Invalid goals are ignored", () => {
+    assert.deepStrictEqual(
+      goalService.getValidGoals([
+        { period: "week", hours: 10 },
+        { period: "month", hours: 40 },
+        { period: "day", hours: -1 },
+        null,
+      ]),
+      [{ period: "week", hours: 10 }]
+    );
+    assert.deepStrictEqual(goalService.getValidGoals("2h"), []);
+  });
+});
@@ -0,0 +1,283 @@
+const assert = require("assert");
+const heartbeatService = require("../heartbeatService");
+
+const javascript = { id: 1, name: "JavaScript", color: "#f7df1e" };
+
+const fileA = {
+  language: javascript,
+  projectName: "test-project",
+  filePath: "a.js",
+};
+const fileB = {
+  language: javascript,
+  projectName: "test-project",
+  filePath: "b.js",
+};
+
+/**
+ * Build a date a number of seconds after a fixed base time
+ * @param {number} seconds
+ * @returns {Date}
+ */
+function at(seconds) {
+  return new Date(Date.UTC(2023, 0, 1, 12, 0, 0) + seconds * 1000);
+}
+
+suite("Heartbeat Service Tests", () => {
+  setup(() => {
+    heartbeatService.clear();
+  });
+
+  test("Gaps between heartbeats are credited to the earlier entity", () => {
+    const slices = heartbeatService.aggregateHeartbeats(
+      [
+        { time: at(0), type: "focus", entity: fileA },
+        { time: at(30), type: "edit", entity: fileA },
+        { time: at(33), type: "focus", entity: fileB },
+        { time: at(60), type: "focus", entity: fileA },
+      ],
+      120
+    );
+
+    assert.deepStrictEqual(
+      slices.map((slice) => [slice.entity.filePath, slice.duration]),
+      [
+        ["a.js", 33],
+        ["b.js", 27],
+        ["a.js", 0],
+      ]
+    );
+  });
+
+  test("Gaps longer than the merge gap are cut out", () => {
+    const slices = heartbeatService.aggregateHeartbeats(
+      [
+        { time: at(0), type: "edit", entity: fileA },
+        { time: at(50), type: "edit", entity: fileA },
+        { time: at(500), type: "edit", entity: fileA },
+        { time: at(510), type: "edit", entity: fileA },
+      ],
+      120
+    );
+
+    assert.deepStrictEqual(
+      slices.map((slice) => [slice.duration, slice.run]),
+      [
+        [50, 0],
+        [10, 1],
+      ]
+    );
+  });
+
+  test("Short hops inside a long run are kept", () => {
+    heartbeatService.record("edit", fileA, at(0));
+    heartbeatService.record("focus", fileB, at(20));
+    heartbeatService.record("focus", fileA, at(22));
+    heartbeatService.record("edit", fileA, at(40));
+
+    const slices = heartbeatService.collect({
+      now: at(40),
+      mergeGap: 120,
+      minDuration: 5,
+      final: true,
+    });
+
+    assert.deepStrictEqual(
+      slices.map((slice) => [slice.entity.filePath, slice.duration]),
+      [
+        ["a.js", 20],
+        ["b.js", 2],
+        ["a.js", 18],
+      ]
+    );
+    assert.strictEqual(heartbeatService.hasPendingHeartbeats(), false);
+  });
+
+  test("The open slice stays pending until it is closed", () => {
+    heartbeatService.record("edit", fileA, at(0));
+    heartbeatService.record("focus", fileB, at(20));
+    heartbeatService.record("edit", fileB, at(30));
+
+    const committed = heartbeatService.collect({
+      now: at(35),
+      mergeGap: 120,
+      minDuration: 5,
+    });
+    assert.deepStrictEqual(
+      committed.map((slice) => slice.entity.filePath),
+      ["a.js"]
+    );
+    assert.strictEqual(
+      heartbeatService.getOpenSlice(120).entity.filePath,
+      "b.js"
+    );
+
+    const closed = heartbeatService.collect({
+      now: at(400),
+      mergeGap: 120,
+      minDuration: 5,
+    });
+    assert.deepStrictEqual(
+      closed.map((slice) => [slice.entity.filePath, slice.duration]),
+      [["b.js", 10]]
+    );
+  });
+
+  test("Slices closed for inactivity end at the last heartbeat", () => {
+    heartbeatService.record("edit", fileA, at(0));
+    heartbeatService.record("focus", fileB, at(30));
+    heartbeatService.record("cursor", fileB, at(45));
+
+    const lastHeartbeat = heartbeatService.getLastHeartbeat();
+    assert.strictEqual(lastHeartbeat.entity, fileB);
+    assert.deepStrictEqual(lastHeartbeat.time, at(45));
+
+    const slices = heartbeatService.collect({
+      now: at(45 + 600),
+      mergeGap: 120,
+      minDuration: 5,
+      final: true,
+    });
+    assert.deepStrictEqual(
+      slices.map((slice) => [slice.entity.filePath, slice.endTime]),
+      [
+        ["a.js", at(30)],
+        ["b.js", at(45)],
+      ]
+    );
+  });
+
+  test("Checkpointed heartbeats recover into the slices they left open", () => {
+    heartbeatService.record("edit", fileA, at(0));
+    heartbeatService.record("focus", fileB, at(20));
+    heartbeatService.collect({ now: at(20), mergeGap: 120, minDuration: 5 });
+    heartbeatService.record("cursor", fileB, at(22));
+
+    // A committed run keeps its short open slice when recovered
+    const state = JSON.parse(JSON.stringify(heartbeatService.getState()));
+    const { completed } = heartbeatService.collectSlices(
+      state.heartbeats.map((heartbeat) => ({
+        ...heartbeat,
+        time: new Date(heartbeat.time),
+      })),
+      state.runCommitted,
+      { now: at(600), mergeGap: 120, minDuration: 5, final: true }
+    );
+
+    assert.deepStrictEqual(
+      completed.map((slice) => [slice.entity.filePath, slice.duration]),
+      [["b.js", 2]]
+    );
+  });
+
+  test("Runs shorter than the minimum duration are dropped", () => {
+    heartbeatService.record("focus", fileA, at(0));
+    heartbeatService.record("focus", fileB, at(2));
+
+    const slices = heartbeatService.collect({
+      now: at(2),
+      mergeGap: 120,
+      minDuration: 5,
+      final: true,
+    });
+
+    assert.strictEqual(slices.length, 0);
+    assert.strictEqual(heartbeatService.hasPendingHeartbeats(), false);
+  });
+
+  test("Metrics add up per slice, also for throttled heartbeats", () => {
+    heartbeatService.record("edit", fileA, at(0), { charactersTyped: 3 });
+    heartbeatService.record("edit", fileA, at(0.5), { charactersTyped: 2 });
+    heartbeatService.record("save", fileA, at(10), { saves: 1 });
+    heartbeatService.record("focus", fileB, at(20));
+    heartbeatService.record("edit", fileB, at(30), { linesAdded: 1 });
+
+    const slices = heartbeatService.collect({
+      now: at(30),
+      mergeGap: 120,
+      minDuration: 0,
+      final: true,
+    });
+
+    assert.deepStrictEqual(
+      slices.map((slice) => slice.metrics),
+      [{ charactersTyped: 5, saves: 1 }, { linesAdded: 1 }]
+    );
+  });
+
+  test("Reading and writing are timed separately with their own gaps", () => {
+    heartbeatService.record("edit", fileA, at(0));
+    heartbeatService.record("cursor", fileA, at(5));
+    heartbeatService.record("scroll", fileA, at(20));
+    heartbeatService.record("scroll", fileA, at(200));
+    heartbeatService.record("edit", fileA, at(210));
+
+    const slices = heartbeatService.collect({
+      now: at(210),
+      mergeGap: 120,
+      readingGap: 300,
+      minDuration: 0,
+      final: true,
+    });
+
+    assert.deepStrictEqual(
+      slices.map((slice) => [
+        slice.duration,
+        slice.writingDuration,
+        slice.readingDuration,
+      ]),
+      [[210, 20, 190]]
+    );
+  });
+
+  test("Alternating edits and cursor moves are kept once per second", () => {
+    for (let tenth = 0; tenth < 20; tenth++) {
+      heartbeatService.record(
+        tenth % 2 ? "cursor" : "edit",
+        fileA,
+        at(tenth / 10),
+        tenth % 2 ? null : { charactersTyped: 1 }
+      );
+    }
+
+    const { heartbeats } = heartbeatService.getState();
+    assert.strictEqual(heartbeats.length, 2);
+    assert.deepStrictEqual(
+      heartbeats.map((heartbeat) => heartbeat.metrics),
+      [{ charactersTyped: 5 }, { charactersTyped: 5 }]
+    );
+  });
+
+  test("A long open slice keeps only a bounded tail pending", () => {
+    const options = { mergeGap: 120, readingGap: 300, minDuration: 5 };
+    for (let second = 0; second < 600; second += 2) {
+      heartbeatService.record(
+        second % 100 < 60 ? "edit" : "scroll",
+        second < 300 ? fileA : fileB,
+        at(second),
+        { charactersTyped: 1 }
+      );
+      if (second % 10 === 0) {
+        heartbeatService.collect({ ...options, now: at(second) });
+      }
+    }
+
+    assert.ok(heartbeatService.getState().heartbeats.length <= 30);
+    assert.strictEqual(heartbeatService.getOpenSlice(120, 300).duration, 298);
+
+    const slices = heartbeatService.collect({
+      ...options,
+      now: at(600),
+      final: true,
+    });
+    assert.deepStrictEqual(
+      slices.map((slice) => [
+        slice.entity.filePath,
+        slice.duration,
+        slice.writingDuration,
+        slice.metrics.charactersTyped,
+      ]),
+      [["b.js", 298, 210, 150]]
+    );
+  });
+});
@@ -0,0 +1,147 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const historyService = require("../historyService");
+
+const rust = { id: 1, name: "Rust", color: "#dea584" };
+const go = { id: 2, name: "Go", color: "#00add8" };
+
+/**
+ * Build a session that starts on a day and hour in March 2024
+ * @param {string} id
+ * @param {number} day - Day of the month
+ * @param {number} hour - Local hour
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object}
+ */
+function session(id, day, hour, fields = {}) {
+  const startTime = new Date(2024, 2, day, hour);
+  return {
+    id,
+    language: rust,
+    projectName: "engine",
+    category: "coding",
+    startTime,
+    endTime: new Date(startTime.getTime() + 30 * 60 * 1000),
+    duration: 1800,
+    ...fields,
+  };
+}
+
+suite("History Service Tests", () => {
+  let directory;
+
+  setup(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "slopboard-history-"));
+    historyService.initialize(directory);
+  });
+
+  teardown(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("Sessions are found by day range and indexed fields", () => {
+    historyService.add(session("a", 1, 9));
+    historyService.add(session("b", 2, 9, { language: go }));
+    historyService.add(session("c", 2, 14, { projectName: "site" }));
+    historyService.add(session("d", 3, 9, { category: "debugging" }));
+
+    const ids = (query) => historyService.query(query).map((found) => found.id);
+
+    assert.deepStrictEqual(
+      ids({ from: new Date(2024, 2, 2), to: new Date(2024, 2, 3) }),
+      ["b", "c"]
+    );
+    assert.deepStrictEqual(ids({ language: "Rust", project: "engine" }), [
+      "a",
+      "d",
+    ]);
+    assert.deepStrictEqual(ids({ category: "debugging" }), ["d"]);
+    assert.ok(historyService.query()[0].startTime instanceof Date);
+  });
+
+  test("Corrections and deletions survive a fresh scan", () => {
+    historyService.add(session("a", 1, 9));
+    historyService.add(session("b", 1, 11));
+    historyService.add(session("a", 1, 9, { projectName: "site" }));
+    historyService.remove("b");
+
+    historyService.initialize(directory);
+    const sessions = historyService.query();
+    assert.deepStrictEqual(
+      sessions.map((found) => [found.id, found.projectName]),
+      [["a", "site"]]
+    );
+    assert.deepStrictEqual(historyService.query({ project: "engine" }), []);
+  });
+
+  test("Unreadable lines are skipped", () => {
+    historyService.add(session("a", 1, 9));
+    fs.appendFileSync(path.join(directory, "2024-03.jsonl"), '{"id": "par');
+
+    historyService.initialize(directory);
+    historyService.add(session("b", 1, 11));
+    assert.deepStrictEqual(
+      historyService.query().map((found) => found.id),
+      ["a", "b"]
+    );
+  });
+
+  test("Sessions beyond the retention are dropped", () => {
+    const daysAgo = (days) => new Date(Date.now() - days * 86400000);
+    historyService.add(session("old", 1, 9, { startTime: daysAgo(90) }));
+    historyService.add(session("new", 1, 9, { startTime: daysAgo(1) }));
+
+    historyService.initialize(directory, { retentionDays: 30 });
+    assert.deepStrictEqual(
+      historyService.query().map((found) => found.id),
+      ["new"]
+    );
+    assert.strictEqual(fs.readdirSync(directory).length, 1);
+  });
+
+  test("Time is summed per day, project, language and category", () => {
+    const summary = historyService.summarize([
+      session("a", 1, 9),
+      session("b", 1, 11, { language: go }),
+      session("c", 2, 9, { projectName: "site", duration: 600 }),
+    ]);
+
+    assert.strictEqual(summary.total, 4200);
+    assert.deepStrictEqual(
+      [...summary.byDay],
+      [
+        ["2024-03-01", 3600],
+        ["2024-03-02", 600],
+      ]
+    );
+    assert.strictEqual(summary.byProject.get("engine"), 3600);
+    assert.strictEqual(summary.byLanguage.get("Go"), 1800);
+    assert.strictEqual(summary.byCategory.get("coding"), 4200);
+  });
+
+  test("Report ranges cover whole days", () => {
+    const now = new Date(2024, 2, 13, 15);
+    assert.deepStrictEqual(historyService.getRange("Yesterday", now), {
+      from: new Date(2024, 2, 12),
+      to: new Date(2024, 2, 13),
+    });
+    assert.deepStrictEqual(historyService.getRange("Last Week", now), {
+      from: new Date(2024, 2, 4),
+      to: new Date(2024, 2, 11),
+    });
+    assert.deepStrictEqual(
+      historyService.parseRange("2024-03-01 to 2024-03-15"),
+      {
+        from: new Date(2024, 2, 1),
+        to: new Date(2024, 2, 16),
+      }
+    );
+    assert.strictEqual(historyService.parseRange("2024-02-30"), null);
+    assert.strictEqual(
+      historyService.parseRange("2024-03-15 to 2024-03-01"),
+      null
+    );
+  });
+});
@@ -0,0 +1,98 @@
+const assert = require("assert");
+const vscode = require("vscode");
+const insertionService = require("../insertionService");
+
+const document = { uri: { toString: () => "file:///work/app/index.js" } };
+
+/**
+ * Create a change event inserting the given texts
+ * @param {string[]} texts - Text of each content change
+ * @returns {Object} - The event
+ */
+function insert(...texts) {
+  return {
+    document,
+    contentChanges: texts.map((text) => ({ text, rangeLength: 0 })),
+  };
+}
+
+suite("Insertion Service Tests", () => {
+  const options = { clipboard: null, largeInsertThreshold: 100 };
+
+  test("Short insertions are typed", () => {
+    assert.deepStrictEqual(insertionService.classify(insert("a"), options), {
+      typedCharacters: 1,
+      typedInsertions: 1,
+    });
+    assert.strictEqual(insertionService.needsClipboard(insert("a")), false);
+  });
+
+  test("Single inserts matching the clipboard are pasted", () => {
+    const clipboard = "first\r\nsecond";
+    assert.strictEqual(insertionService.needsClipboard(insert("abc")), true);
+    assert.strictEqual(insertionService.needsClipboard(insert("()")), false);
+    assert.strictEqual(
+      insertionService.needsClipboard(insert("first", "second")),
+      false
+    );
+    assert.deepStrictEqual(
+      insertionService.classify(insert("first\nsecond"), {
+        ...options,
+        clipboard,
+      }),
+      { pastedCharacters: 12, pastedInsertions: 1 }
+    );
+  });
+
+  test("Multi-line and large insertions are generated", () => {
+    assert.deepStrictEqual(
+      insertionService.classify(insert("items) {\n  return 1;\n}"), options),
+      { aiCharacters: 22, aiInsertions: 1 }
+    );
+    assert.deepStrictEqual(
+      insertionService.classify(insert("x".repeat(100)), options),
+      { aiCharacters: 100, aiInsertions: 1 }
+    );
+    assert.deepStrictEqual(insertionService.classify(insert("abc"), options), {
+      typedCharacters: 3,
+      typedInsertions: 1,
+    });
+  });
+
+  test("Undo, redo and formatting are not classified", () => {
+    const large = "x".repeat(100);
+    const undo = {
+      ...insert(large),
+      reason: vscode.TextDocumentChangeReason.Undo,
+    };
+    assert.strictEqual(insertionService.needsClipboard(undo), false);
+    assert.deepStrictEqual(insertionService.classify(undo, options), {});
+
+    const formatted = {
+      document,
+      contentChanges: [{ text: `${large}\n${large}`, rangeLength: 180 }],
+    };
+    assert.deepStrictEqual(insertionService.classify(formatted, options), {});
+    assert.deepStrictEqual(
+      insertionService.classify(insert("\n    \n    "), options),
+      {}
+    );
+    assert.deepStrictEqual(
+      insertionService.classify(insert("  const a = 1;", ";"), options),
+      { typedCharacters: 1, typedInsertions: 1 }
+    );
+  });
+
+  test("Shares of inserted characters", () => {
+    assert.deepStrictEqual(insertionService.getShares({ typed: 30, ai: 10 }), {
+      typed: 0.75,
+      pasted: 0,
+      ai: 0.25,
+    });
+    assert.deepStrictEqual(insertionService.getShares({}), {
+      typed: 0,
+      pasted: 0,
+      ai: 0,
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const JsonlFiles = require("../jsonlFiles");
+
+suite("JSONL Files Tests", () => {
+  let directory;
+  let files;
+
+  /**
+   * Scan the files, collecting the lines passed on
+   * @returns {{resets: number, lines: Array<[string, number, string]>}}
+   */
+  function scan() {
+    const result = { resets: 0, lines: [] };
+    files.scan({
+      onReset: () => result.resets++,
+      onLine: (name, offset, bytes) =>
+        result.lines.push([name, offset, bytes.toString("utf8")]),
+    });
+    return result;
+  }
+
+  setup(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "slopboard-jsonl-"));
+    files = new JsonlFiles(/^part-(\d+)\.jsonl$/);
+    files.setDirectory(directory);
+  });
+
+  teardown(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("Scans pass on complete lines appended since the last scan", () => {
+    files.append("part-1.jsonl", ["{}", '{"a":1}']);
+    fs.writeFileSync(path.join(directory, "notes.txt"), "ignored\n");
+    assert.deepStrictEqual(scan().lines, [
+      ["part-1.jsonl", 0, "{}"],
+      ["part-1.jsonl", 3, '{"a":1}'],
+    ]);
+
+    // Another window is still writing the second line
+    fs.appendFileSync(path.join(directory, "part-1.jsonl"), '{"b":2}\n{"c"');
+    assert.deepStrictEqual(scan().lines, [["part-1.jsonl", 11, '{"b":2}']]);
+
+    fs.appendFileSync(path.join(directory, "part-1.jsonl"), ":3}\n");
+    assert.deepStrictEqual(scan().lines, [["part-1.jsonl", 19, '{"c":3}']]);
+  });
+
+  test("Appends end a partial line left by a crash", () => {
+    fs.writeFileSync(path.join(directory, "part-1.jsonl"), '{}\n{"trunc');
+    files.append("part-1.jsonl", ['{"a":1}']);
+
+    assert.strictEqual(
+      fs.readFileSync(path.join(directory, "part-1.jsonl"), "utf8"),
+      '{}\n{"trunc\n{"a":1}\n'
+    );
+  });
+
+  test("A scanned file that is gone starts the scan over", () => {
+    files.append("part-1.jsonl", ["{}"]);
+    files.append("part-2.jsonl", ['{"a":1}']);
+    scan();
+
+    fs.rmSync(path.join(directory, "part-1.jsonl"));
+    assert.deepStrictEqual(scan(), {
+      resets: 1,
+      lines: [["part-2.jsonl", 0, '{"a":1}']],
+    });
+    assert.deepStrictEqual(
+      files.list().map((file) => [file.name, file.match[1], file.size]),
+      [["part-2.jsonl", "2", 8]]
+    );
+  });
+});
@@ -0,0 +1,97 @@
+const assert = require("assert");
+const manualEntryService = require("../manualEntryService");
+
+suite("Manual Entry Service Tests", () => {
+  test("Durations are parsed in several notations", () => {
+    assert.strictEqual(manualEntryService.parseDuration("45"), 2700);
+    assert.strictEqual(manualEntryService.parseDuration("1h 30m"), 5400);
+    assert.strictEqual(manualEntryService.parseDuration("1:15"), 4500);
+    assert.strictEqual(manualEntryService.parseDuration("0m"), null);
+    assert.strictEqual(manualEntryService.parseDuration("soon"), null);
+  });
+
+  test("Ranges later than now are taken from yesterday", () => {
+    const now = new Date(2023, 0, 4, 8, 0);
+
+    assert.deepStrictEqual(manualEntryService.parsePeriod("7:00-7:30", now), {
+      startTime: new Date(2023, 0, 4, 7, 0),
+      endTime: new Date(2023, 0, 4, 7, 30),
+    });
+    assert.deepStrictEqual(
+      manualEntryService.parsePeriod("10pm to 11:15pm", now),
+      {
+        startTime: new Date(2023, 0, 3, 22, 0),
+        endTime: new Date(2023, 0, 3, 23, 15),
+      }
+    );
+    assert.deepStrictEqual(manualEntryService.parsePeriod("20m", now), {
+      startTime: new Date(2023, 0, 4, 7, 40),
+      endTime: now,
+    });
+    assert.strictEqual(manualEntryService.parsePeriod("9:00-8:00", now), null);
+  });
+
+  test("Trimming shrinks the active time by the share that is kept", () => {
+    const session = {
+      id: "session",
+      startTime: new Date(2023, 0, 4, 9, 0, 20),
+      endTime: new Date(2023, 0, 4, 10, 0, 20),
+      duration: 3000,
+      writingDuration: 1200,
+      readingDuration: 1800,
+      focusDuration: 3600,
+    };
+
+    // Entering the minute the session ends in keeps the exact end
+    const trimmed = manualEntryService.trimSession(
+      session,
+      new Date(2023, 0, 4, 9, 30, 20),
+      new Date(2023, 0, 4, 10, 0)
+    );
+    assert.strictEqual(trimmed.id, "session");
+    assert.deepStrictEqual(trimmed.endTime, session.endTime);
+    assert.deepStrictEqual(
+      [trimmed.duration, trimmed.writingDuration, trimmed.readingDuration],
+      [1500, 600, 900]
+    );
+    assert.strictEqual(trimmed.focusDuration, 1500);
+    assert.strictEqual(
+      manualEntryService.trimSession(
+        session,
+        new Date(2023, 0, 4, 8, 0),
+        new Date(2023, 0, 4, 9, 30)
+      ),
+      null
+    );
+  });
+
+  test("Trimming shrinks the edit metrics by the share that is kept", () => {
+    const session = {
+      id: "session",
+      startTime: new Date(2023, 0, 4, 9, 0),
+      endTime: new Date(2023, 0, 4, 10, 0),
+      duration: 3600,
+      metrics: {
+        charactersTyped: 1000,
+        linesAdded: 41,
+        saves: 3,
+        typedCharacters: 900,
+        aiCharacters: 300,
+      },
+    };
+
+    const trimmed = manualEntryService.trimSession(
+      session,
+      new Date(2023, 0, 4, 9, 0),
+      new Date(2023, 0, 4, 9, 20)
+    );
+    assert.deepStrictEqual(trimmed.metrics, {
+      charactersTyped: 333,
+      linesAdded: 14,
+      saves: 1,
+      typedCharacters: 300,
+      aiCharacters: 100,
+    });
+    assert.strictEqual(session.metrics.charactersTyped, 1000);
+  });
+});
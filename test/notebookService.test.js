@@ -0,0 +1,98 @@
+const assert = require("assert");
+const vscode = require("vscode");
+const notebookService = require("../notebookService");
+
+/**
+ * Create a minimal notebook with cells of the given kinds and languages
+ * @param {Array<[number, string]>} cells - Kind and language ID of each cell
+ * @param {Object} [metadata] - Notebook metadata
+ * @returns {Object} - The notebook
+ */
+function createNotebook(cells, metadata = {}) {
+  const notebook = {
+    metadata,
+    cellCount: cells.length,
+    getCells: () => notebook.cells,
+    cellAt: (index) => notebook.cells[index],
+  };
+  notebook.cells = cells.map(([kind, languageId]) => ({
+    kind,
+    notebook,
+    document: { languageId },
+  }));
+  return notebook;
+}
+
+suite("Notebook Service Tests", () => {
+  const { Code, Markup } = vscode.NotebookCellKind;
+  const originalWindow = { ...vscode.window };
+
+  teardown(() => {
+    vscode.window.activeNotebookEditor = originalWindow.activeNotebookEditor;
+    vscode.window.visibleNotebookEditors =
+      originalWindow.visibleNotebookEditors;
+  });
+
+  test("The kernel language comes from the notebook metadata", () => {
+    const notebook = createNotebook([[Markup, "markdown"]], {
+      metadata: { language_info: { name: "julia" } },
+    });
+    assert.strictEqual(notebookService.getKernelLanguage(notebook), "julia");
+  });
+
+  test("Without metadata the first code cell decides the language", () => {
+    const notebook = createNotebook([
+      [Markup, "markdown"],
+      [Code, "r"],
+    ]);
+    assert.strictEqual(notebookService.getKernelLanguage(notebook), "r");
+    assert.strictEqual(
+      notebookService.getCellKind(notebook.cellAt(0)),
+      "markdown"
+    );
+    assert.strictEqual(notebookService.getCellKind(notebook.cellAt(1)), "code");
+  });
+
+  test("The selected cell falls back to the first cell", () => {
+    const notebook = createNotebook([
+      [Code, "python"],
+      [Code, "python"],
+    ]);
+    assert.strictEqual(
+      notebookService.getSelectedCell({ notebook, selections: [] }),
+      notebook.cellAt(0)
+    );
+    assert.strictEqual(
+      notebookService.getSelectedCell({
+        notebook,
+        selections: [{ start: 1, end: 2 }],
+      }),
+      notebook.cellAt(1)
+    );
+    assert.strictEqual(
+      notebookService.getSelectedCell({ notebook: createNotebook([]) }),
+      null
+    );
+  });
+
+  test("The cell selected in the editor showing a notebook is found", () => {
+    const notebook = createNotebook([
+      [Markup, "markdown"],
+      [Code, "python"],
+    ]);
+    const other = createNotebook([[Code, "python"]]);
+    vscode.window.activeNotebookEditor = { notebook: other, selections: [] };
+    vscode.window.visibleNotebookEditors = [
+      { notebook: other, selections: [] },
+      { notebook, selections: [{ start: 1, end: 2 }] },
+    ];
+
+    assert.strictEqual(
+      notebookService.getEditorCell(notebook),
+      notebook.cellAt(1)
+    );
+
+    vscode.window.visibleNotebookEditors = [];
+    assert.strictEqual(notebookService.getEditorCell(notebook), null);
+  });
+});
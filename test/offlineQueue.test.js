@@ -0,0 +1,109 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const offlineQueue = require("../offlineQueue");
+
+/**
+ * Build a session record that ended a number of days before a fixed time
+ * @param {string} id
+ * @param {number} daysAgo
+ * @returns {Object}
+ */
+function record(id, daysAgo = 0) {
+  const endTime = new Date(Date.UTC(2023, 0, 31) - daysAgo * 86400000);
+  return { version: 2, id, endTime: endTime.toISOString(), duration: 60 };
+}
+
+suite("Offline Queue Tests", () => {
+  let directory;
+
+  setup(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "slopboard-queue-"));
+    offlineQueue.initialize(directory);
+  });
+
+  teardown(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("Records with a queued ID replace the queued record in place", () => {
+    offlineQueue.append([record("a"), record("b")]);
+    offlineQueue.append([{ ...record("a"), duration: 5 }, record("c")]);
+
+    assert.deepStrictEqual(
+      offlineQueue.read().map((queued) => [queued.id, queued.duration]),
+      [
+        ["a", 5],
+        ["b", 60],
+        ["c", 60],
+      ]
+    );
+    assert.deepStrictEqual(
+      offlineQueue.read(2).map((queued) => queued.id),
+      ["a", "b"]
+    );
+  });
+
+  test("Removals survive a fresh scan of the segments", () => {
+    offlineQueue.append([record("a"), record("b"), record("c")]);
+    offlineQueue.remove(["a", "c"]);
+
+    offlineQueue.initialize(directory);
+    assert.strictEqual(offlineQueue.count(), 1);
+    assert.strictEqual(offlineQueue.read()[0].id, "b");
+  });
+
+  test("Unreadable and partial lines are skipped", () => {
+    offlineQueue.append([record("a")]);
+    fs.appendFileSync(
+      path.join(directory, "segment-000001.jsonl"),
+      '{"id": "broken"\n{"id": "partial'
+    );
+
+    offlineQueue.initialize(directory);
+    offlineQueue.append([record("b")]);
+    assert.deepStrictEqual(
+      offlineQueue.read().map((queued) => queued.id),
+      ["a", "b"]
+    );
+  });
+
+  test("Compaction drops records beyond the age and size limits", () => {
+    offlineQueue.append([
+      record("old", 40),
+      record("a", 3),
+      record("b", 2),
+      record("c", 1),
+    ]);
+
+    const lineSize = Buffer.byteLength(JSON.stringify(record("b", 2))) + 1;
+    offlineQueue.setRetention({
+      maxBytes: lineSize * 2,
+      maxAgeMs: 30 * 86400000,
+    });
+    const dropped = offlineQueue.compact(Date.UTC(2023, 0, 31));
+
+    assert.strictEqual(dropped, 2);
+    assert.deepStrictEqual(
+      offlineQueue.read().map((queued) => queued.id),
+      ["b", "c"]
+    );
+    assert.deepStrictEqual(fs.readdirSync(directory), ["segment-000002.jsonl"]);
+  });
+
+  test("Compaction keeps deletions over the size limit", () => {
+    const deletion = { version: 2, id: "gone", deleted: true };
+    offlineQueue.append([deletion, record("a", 2), record("b", 1)]);
+
+    const lineSize = Buffer.byteLength(JSON.stringify(record("b", 1))) + 1;
+    offlineQueue.setRetention({ maxBytes: lineSize * 2 });
+    const dropped = offlineQueue.compact(Date.UTC(2023, 0, 31));
+
+    assert.strictEqual(dropped, 1);
+    assert.deepStrictEqual(
+      offlineQueue.read().map((queued) => queued.id),
+      ["gone", "b"]
+    );
+  });
+});
@@ -0,0 +1,69 @@
+const assert = require("assert");
+const vscode = require("vscode");
+const projectConfigService = require("../projectConfigService");
+const schema = require("../schemas/slopboard.schema.json");
+
+suite("Project Config Service Tests", () => {
+  test("A valid configuration has no errors", () => {
+    const errors = projectConfigService.validate(
+      {
+        name: "storefront",
+        tags: ["frontend"],
+        client: "Acme",
+        billingCode: "ACME-1",
+        exclude: ["generated/**"],
+        languages: { "templates/**/*.html": "Jinja" },
+      },
+      schema,
+      ""
+    );
+    assert.deepStrictEqual(errors, []);
+  });
+
+  test("Errors name the top-level property they belong to", () => {
+    const errors = projectConfigService.validate(
+      { name: 42, tags: ["ok", 1], languages: { "*.x": true }, colour: "red" },
+      schema,
+      ""
+    );
+    assert.deepStrictEqual(errors.map((error) => error.property).sort(), [
+      "colour",
+      "languages",
+      "name",
+      "tags",
+    ]);
+    assert.ok(
+      errors.some((error) => error.message === "/tags/1 must be of type string")
+    );
+  });
+
+  test("A configuration that isn't an object is rejected as a whole", () => {
+    const errors = projectConfigService.validate(["name"], schema, "");
+    assert.deepStrictEqual(errors, [
+      { property: "", message: "the configuration must be of type object" },
+    ]);
+  });
+
+  test("Warnings are only repeated when the configuration changes", () => {
+    const originalShowWarningMessage = vscode.window.showWarningMessage;
+    const warnings = [];
+    vscode.window.showWarningMessage = (message) => warnings.push(message);
+    try {
+      const source = "storefront/.slopboard.json";
+      projectConfigService.checkConfig({ name: 42 }, source);
+      projectConfigService.checkConfig({ name: 42 }, source);
+      assert.strictEqual(warnings.length, 1);
+
+      projectConfigService.checkConfig({ name: 42, tags: [1] }, source);
+      assert.strictEqual(warnings.length, 2);
+
+      // Fixed and broken again
+      projectConfigService.checkConfig({ name: "storefront" }, source);
+      projectConfigService.checkConfig({ name: 42 }, source);
+      assert.strictEqual(warnings.length, 3);
+    } finally {
+      vscode.window.showWarningMessage = originalShowWarningMessage;
+      projectConfigService.warnings.clear();
+    }
+  });
+});
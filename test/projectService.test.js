@@ -0,0 +1,117 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const vscode = require("vscode");
+const projectService = require("../projectService");
+const projectConfigService = require("../projectConfigService");
+
+/**
+ * Write a file, creating its directory
+ * @param {string} file
+ * @param {string} content
+ */
+function writeFile(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+suite("Project Service Tests", () => {
+  const originalGetWorkspaceFolder = vscode.workspace.getWorkspaceFolder;
+  const originalGetConfiguration = vscode.workspace.getConfiguration;
+  let directory;
+  let root;
+  let settings;
+
+  setup(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "slopboard-project-"));
+    root = path.join(directory, "storefront");
+    writeFile(
+      path.join(root, "packages", "api", "package.json"),
+      JSON.stringify({ name: "@acme/api" })
+    );
+    writeFile(
+      path.join(root, "crates", "engine", "Cargo.toml"),
+      '[dependencies]\nname = "serde"\n\n[package]\nname = "engine"\n'
+    );
+    writeFile(path.join(directory, "package.json"), '{"name": "outside"}');
+
+    const folderUri = { ...vscode.Uri.file(root), toString: () => root };
+    vscode.workspace.getWorkspaceFolder = () => ({
+      uri: folderUri,
+      name: "storefront",
+    });
+
+    settings = {};
+    vscode.workspace.getConfiguration = () => ({
+      get: (key, fallback) => (key in settings ? settings[key] : fallback),
+    });
+    projectConfigService.configs.clear();
+    projectService.manifestNames.clear();
+  });
+
+  teardown(() => {
+    vscode.workspace.getWorkspaceFolder = originalGetWorkspaceFolder;
+    vscode.workspace.getConfiguration = originalGetConfiguration;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Resolve the project of a file in the workspace folder
+   * @param {...string} segments - Path of the file in the folder
+   * @returns {string}
+   */
+  function resolve(...segments) {
+    return projectService.resolveProject(
+      vscode.Uri.file(path.join(root, ...segments))
+    );
+  }
+
+  test("The workspace folder names the project by default", () => {
+    assert.strictEqual(resolve("packages", "api", "index.js"), "storefront");
+  });
+
+  test("The nearest manifest names the project", () => {
+    settings.projectNameSources = ["manifest", "folder"];
+
+    assert.strictEqual(
+      resolve("packages", "api", "src", "index.js"),
+      "@acme/api"
+    );
+    assert.strictEqual(resolve("crates", "engine", "src", "lib.rs"), "engine");
+
+    // Manifests outside the workspace folder don't count
+    assert.strictEqual(resolve("docs", "index.md"), "storefront");
+  });
+
+  test("The project name setting and .slopboard.json win", () => {
+    settings.projectNameSources = ["manifest"];
+    writeFile(
+      path.join(root, ".slopboard.json"),
+      JSON.stringify({ name: "Storefront" })
+    );
+    assert.strictEqual(resolve("packages", "api", "index.js"), "Storefront");
+
+    settings.projectName = "Override";
+    assert.strictEqual(resolve("packages", "api", "index.js"), "Override");
+  });
+
+  test("Remote workspaces are named from the folder URI path", () => {
+    const remoteUri = (remotePath) => ({
+      scheme: "vscode-remote",
+      path: remotePath,
+      fsPath: remotePath.replace(/\//g, "\\"),
+      toString: () => `vscode-remote://ssh-remote+box${remotePath}`,
+    });
+    vscode.workspace.getWorkspaceFolder = () => ({
+      uri: remoteUri("/home/dev/site"),
+      name: "site",
+    });
+    settings.projectNameSources = ["manifest", "folder"];
+
+    assert.strictEqual(
+      projectService.resolveProject(remoteUri("/home/dev/site/src/app.js")),
+      "site"
+    );
+  });
+});
@@ -0,0 +1,52 @@
+const assert = require("assert");
+const reviewService = require("../reviewService");
+
+/**
+ * Create a minimal URI like the ones VS Code hands to extensions
+ * @param {Object} parts - scheme, path and query of the URI
+ * @returns {Object} - The URI
+ */
+function createUri(parts) {
+  const uri = { authority: "", fragment: "", ...parts };
+  uri.fsPath = uri.path;
+  uri.with = (change) => createUri({ ...uri, ...change });
+  return uri;
+}
+
+suite("Review Service Tests", () => {
+  test("Git diff documents map to the working tree file", () => {
+    const uri = createUri({
+      scheme: "git",
+      path: "/work/app/src/index.js",
+      query: JSON.stringify({ path: "/work/app/src/index.js", ref: "HEAD" }),
+    });
+
+    const fileUri = reviewService.getFileUri(uri);
+    assert.strictEqual(fileUri.scheme, "file");
+    assert.strictEqual(fileUri.fsPath, "/work/app/src/index.js");
+  });
+
+  test("Merge conflict comparisons keep the original scheme", () => {
+    const uri = createUri({
+      scheme: "merge-conflict.conflict-diff",
+      path: "/work/app/README.md",
+      query: JSON.stringify({ scheme: "file", ranges: [] }),
+    });
+
+    const fileUri = reviewService.getFileUri(uri);
+    assert.strictEqual(fileUri.scheme, "file");
+    assert.strictEqual(fileUri.path, "/work/app/README.md");
+    assert.strictEqual(fileUri.query, "");
+  });
+
+  test("Other schemes are not review documents", () => {
+    const uri = createUri({ scheme: "output", path: "extension-output" });
+
+    assert.strictEqual(reviewService.getFileUri(uri), null);
+    assert.strictEqual(reviewService.isReviewing({ uri }), false);
+    assert.strictEqual(
+      reviewService.isReviewing({ uri: createUri({ scheme: "git" }) }),
+      true
+    );
+  });
+});
@@ -0,0 +1,196 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const storageService = require("../StorageService");
+
+/**
+ * Build an extension context with its global storage in a directory
+ * @param {string} directory
+ * @returns {Object}
+ */
+function createContext(directory) {
+  const state = new Map();
+  return {
+    globalStorageUri: { fsPath: directory },
+    globalState: {
+      get: (key, fallback) => (state.has(key) ? state.get(key) : fallback),
+      update: async (key, value) => state.set(key, value),
+    },
+  };
+}
+
+suite("Storage Service Tests", () => {
+  test("Offline records keep every session field", () => {
+    const record = storageService.toOfflineRecord({
+      id: "session",
+      language: { id: 1, name: "JavaScript", color: "#f7df1e" },
+      projectName: "storefront",
+      filePath: "src/index.js",
+      startTime: new Date(Date.UTC(2023, 0, 1, 9, 0)),
+      endTime: new Date(Date.UTC(2023, 0, 1, 9, 30)),
+      duration: 1800,
+      metrics: { saves: 2 },
+      futureField: "kept",
+    });
+
+    assert.strictEqual(record.version, 2);
+    assert.strictEqual(record.projectName, "storefront");
+    assert.strictEqual(record.filePath, "src/index.js");
+    assert.strictEqual(record.startTime, "2023-01-01T09:00:00.000Z");
+    assert.deepStrictEqual(record.metrics, { saves: 2 });
+    assert.strictEqual(record.futureField, "kept");
+    assert.strictEqual(storageService.isLegacyRecord(record), false);
+  });
+
+  test("Records without a version are migrated and marked as legacy", () => {
+    const legacy = {
+      id: "session",
+      language: { id: 1, name: "JavaScript", color: "#f7df1e" },
+      startTime: "2023-01-01T09:00:00.000Z",
+      endTime: "2023-01-01T09:30:00.000Z",
+      duration: 1800,
+    };
+
+    const migrated = storageService.migrateRecord(legacy);
+    assert.strictEqual(migrated.version, 2);
+    assert.strictEqual(storageService.isLegacyRecord(migrated), true);
+    assert.strictEqual(migrated.duration, 1800);
+    assert.strictEqual(storageService.migrateRecord(migrated), migrated);
+  });
+
+  test("Queued records are replaced by records with the same ID", async () => {
+    const directory = fs.mkdtempSync(
+      path.join(os.tmpdir(), "slopboard-storage-")
+    );
+    try {
+      storageService.setContext(createContext(directory));
+      storageService.setQueueWriter(true);
+      await storageService.addOfflineSession({ id: "a", duration: 10 });
+      await storageService.addOfflineSession({ id: "b", duration: 20 });
+
+      await storageService.addOfflineSession({ id: "a", duration: 5 });
+      await storageService.addOfflineSession({ id: "c", duration: 30 });
+
+      assert.deepStrictEqual(
+        storageService
+          .getOfflineSessions()
+          .map((record) => [record.id, record.duration]),
+        [
+          ["a", 5],
+          ["b", 20],
+          ["c", 30],
+        ]
+      );
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  suite("Upload states", () => {
+    let directory;
+
+    setup(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), "slopboard-storage-"));
+      storageService.setContext(createContext(directory));
+      storageService.setQueueWriter(true);
+    });
+
+    teardown(() => {
+      storageService.setQueueLockCheck(null);
+      storageService.recordStates.clear();
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test("Acknowledged records leave the queue unless replaced in flight", async () => {
+      await storageService.addOfflineSession({ id: "a", duration: 10 });
+      await storageService.addOfflineSession({ id: "b", duration: 20 });
+      storageService.markInFlight(["a", "b"]);
+
+      // An edit while the upload is in flight has to be sent again
+      await storageService.addOfflineSession({ id: "b", duration: 15 });
+      storageService.markAcked(["a", "b"]);
+
+      assert.strictEqual(storageService.getRecordState("a"), "acked");
+      assert.strictEqual(storageService.getRecordState("b"), "pending");
+      assert.deepStrictEqual(
+        storageService.getOfflineSessions().map((record) => record.duration),
+        [15]
+      );
+    });
+
+    test("A window that lost the queue lock stops writing the queue", async () => {
+      await storageService.addOfflineSession({ id: "a", duration: 10 });
+      storageService.markInFlight(["a"]);
+
+      storageService.setQueueLockCheck(() => false);
+      await storageService.addOfflineSession({ id: "b", duration: 20 });
+      storageService.markAcked(["a"]);
+
+      assert.strictEqual(storageService.isQueueWriter(), false);
+      assert.strictEqual(storageService.getRecordState("a"), "pending");
+      assert.deepStrictEqual(
+        storageService.getOfflineSessions().map((record) => record.id),
+        ["a"]
+      );
+
+      // The new writer picks up what this window handed over
+      storageService.setQueueLockCheck(null);
+      storageService.setQueueWriter(true);
+      await storageService.ingestInbox();
+      assert.strictEqual(storageService.getOfflineSessionCount(), 2);
+    });
+
+    test("Rejected records move to the rejected records and can be retried", async () => {
+      await storageService.addOfflineSession({ id: "a", duration: 10 });
+      const [record] = storageService.getOfflineSessions();
+      storageService.markInFlight(["a"]);
+
+      await storageService.markRejected([{ record, error: "Bad language" }]);
+      assert.strictEqual(storageService.getRecordState("a"), "rejected");
+      assert.strictEqual(storageService.getOfflineSessionCount(), 0);
+      assert.strictEqual(
+        storageService.getRejectedRecords()[0].error,
+        "Bad language"
+      );
+
+      assert.strictEqual(await storageService.retryRejectedRecords(), 1);
+      assert.strictEqual(storageService.getOfflineSessionCount(), 1);
+      assert.deepStrictEqual(storageService.getRejectedRecords(), []);
+    });
+  });
+
+  suite("Checkpoints", () => {
+    let directory;
+
+    setup(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), "slopboard-storage-"));
+      storageService.setContext(createContext(directory));
+    });
+
+    teardown(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test("A dead window's checkpoint is recovered only once", () => {
+      const checkpoint = {
+        updatedAt: "2023-01-01T12:00:00.000Z",
+        runCommitted: true,
+        heartbeats: [{ time: "2023-01-01T11:59:50.000Z", type: "edit" }],
+      };
+      storageService.writeCheckpoint("window-a", checkpoint);
+      storageService.writeCheckpoint("window-b", checkpoint);
+      storageService.removeCheckpoint("window-b");
+
+      assert.deepStrictEqual(storageService.getCheckpoints(), [
+        { ...checkpoint, instanceId: "window-a" },
+      ]);
+      assert.deepStrictEqual(
+        storageService.takeCheckpoint("window-a"),
+        checkpoint
+      );
+      assert.strictEqual(storageService.takeCheckpoint("window-a"), null);
+      assert.deepStrictEqual(storageService.getCheckpoints(), []);
+    });
+  });
+});
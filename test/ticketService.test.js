@@ -0,0 +1,50 @@
+const assert = require("assert");
+const ticketService = require("../ticketService");
+
+const patterns = ["[A-Z][A-Z0-9]+-\\d+", "#\\d+", "gh-\\d+"];
+
+suite("Ticket Service Tests", () => {
+  test("Tickets are extracted from branch names", () => {
+    assert.strictEqual(
+      ticketService.extractTicket(["feature/PROJ-123-login"], patterns),
+      "PROJ-123"
+    );
+    assert.strictEqual(
+      ticketService.extractTicket(["fix/gh-42"], patterns),
+      "gh-42"
+    );
+    assert.strictEqual(ticketService.extractTicket(["main"], patterns), null);
+  });
+
+  test("The commit message is used when the branch has no ticket", () => {
+    assert.strictEqual(
+      ticketService.extractTicket(["main", "Fix crash (#17)"], patterns),
+      "#17"
+    );
+  });
+
+  test("Capture groups and invalid patterns", () => {
+    assert.strictEqual(
+      ticketService.extractTicket(["task/abc-9"], ["(", "task/([a-z]+-\\d+)"]),
+      "abc-9"
+    );
+  });
+
+  test("Ticket URLs are built from the template", () => {
+    assert.strictEqual(
+      ticketService.getTicketUrl(
+        "PROJ-123",
+        "https://jira.example.com/browse/{ticket}"
+      ),
+      "https://jira.example.com/browse/PROJ-123"
+    );
+    assert.strictEqual(
+      ticketService.getTicketUrl(
+        "#17",
+        "https://github.com/o/r/issues/{number}"
+      ),
+      "https://github.com/o/r/issues/17"
+    );
+    assert.strictEqual(ticketService.getTicketUrl("#17", ""), null);
+  });
+});
@@ -0,0 +1,142 @@
+const assert = require("assert");
+const vscode = require("vscode");
+const Utils = require("../utils");
+
+const mockSession = {
+  id: "test-id",
+  language: { id: 1, name: "JavaScript", color: "#f7df1e" },
+  projectName: "test-project",
+  filePath: "test-file.js",
+};
+
+suite("Utils Tests", () => {
+  test("Day start honors the configured hour", () => {
+    const date = new Date(2023, 0, 3, 2, 30);
+
+    assert.deepStrictEqual(Utils.getDayStart(date), new Date(2023, 0, 3));
+    assert.deepStrictEqual(Utils.getDayStart(date, 4), new Date(2023, 0, 2, 4));
+  });
+
+  test("Sessions crossing midnight are split", () => {
+    const pieces = Utils.splitSession({
+      ...mockSession,
+      startTime: new Date(2023, 0, 3, 23, 30),
+      endTime: new Date(2023, 0, 4, 0, 30),
+      duration: 3600,
+    });
+
+    assert.strictEqual(pieces.length, 2);
+    assert.strictEqual(pieces[0].id, "test-id");
+    assert.notStrictEqual(pieces[1].id, "test-id");
+    assert.deepStrictEqual(pieces[0].endTime, new Date(2023, 0, 4));
+    assert.deepStrictEqual(
+      pieces.map((piece) => piece.duration),
+      [1800, 1800]
+    );
+  });
+
+  test("Sessions before the day start hour stay in one piece", () => {
+    const pieces = Utils.splitSession(
+      {
+        ...mockSession,
+        startTime: new Date(2023, 0, 3, 23, 30),
+        endTime: new Date(2023, 0, 4, 1, 0),
+        duration: 5400,
+      },
+      4
+    );
+
+    assert.strictEqual(pieces.length, 1);
+  });
+
+  test("Sessions crossing the week boundary are split", () => {
+    const pieces = Utils.splitSession(
+      {
+        ...mockSession,
+        startTime: new Date(2023, 0, 8, 23, 0),
+        endTime: new Date(2023, 0, 9, 1, 0),
+        duration: 7200,
+      },
+      4
+    );
+
+    assert.deepStrictEqual(
+      pieces.map((piece) => piece.startTime),
+      [new Date(2023, 0, 8, 23, 0), new Date(2023, 0, 9)]
+    );
+  });
+
+  test("Metrics are shared between the pieces of a split session", () => {
+    const pieces = Utils.splitSession({
+      ...mockSession,
+      startTime: new Date(2023, 0, 3, 23, 0),
+      endTime: new Date(2023, 0, 4, 2, 0),
+      duration: 10800,
+      metrics: { charactersTyped: 100, saves: 1 },
+    });
+
+    assert.deepStrictEqual(
+      pieces.map((piece) => piece.metrics),
+      [
+        { charactersTyped: 33, saves: 0 },
+        { charactersTyped: 67, saves: 1 },
+      ]
+    );
+  });
+
+  test("Reading and writing time are shared between the pieces", () => {
+    const pieces = Utils.splitSession({
+      ...mockSession,
+      startTime: new Date(2023, 0, 3, 23, 0),
+      endTime: new Date(2023, 0, 4, 1, 0),
+      duration: 7200,
+      writingDuration: 3000,
+      readingDuration: 4200,
+    });
+
+    assert.deepStrictEqual(
+      pieces.map((piece) => [piece.writingDuration, piece.readingDuration]),
+      [
+        [1500, 2100],
+        [1500, 2100],
+      ]
+    );
+  });
+
+  test("Document changes are measured", () => {
+    const range = (startLine, endLine) => ({
+      start: { line: startLine },
+      end: { line: endLine },
+    });
+
+    // Edits with several changes aren't typed
+    assert.deepStrictEqual(
+      Utils.measureChanges([
+        { text: "foo\nbar\n", range: range(1, 1), rangeLength: 0 },
+        { text: "", range: range(5, 7), rangeLength: 12 },
+      ]),
+      { charactersTyped: 0, linesAdded: 2, linesDeleted: 2, sizeDelta: -4 }
+    );
+  });
+
+  test("Only single keystrokes count as typed", () => {
+    const typed = (text, reason) =>
+      Utils.measureChanges(
+        [
+          {
+            text,
+            range: { start: { line: 0 }, end: { line: 0 } },
+            rangeLength: 0,
+          },
+        ],
+        reason
+      ).charactersTyped;
+
+    assert.strictEqual(typed("a"), 1);
+    assert.strictEqual(typed("()"), 2);
+    assert.strictEqual(typed("\r\n        "), 1);
+    assert.strictEqual(typed("console.log()"), 0);
+    assert.strictEqual(typed("a", vscode.TextDocumentChangeReason.Undo), 0);
+    assert.strictEqual(typed("a", vscode.TextDocumentChangeReason.Redo), 0);
+  });
+});
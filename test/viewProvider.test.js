@@ -0,0 +1,64 @@
+const assert = require("assert");
+const SummaryViewProvider = require("../viewProvider");
+
+suite("View Provider Tests", () => {
+  let provider;
+
+  setup(() => {
+    provider = new SummaryViewProvider(null);
+  });
+
+  test("Tickets are only linked to web URLs", () => {
+    assert.strictEqual(
+      provider.renderTicket("PROJ-1", "https://jira.example.com/browse/PROJ-1"),
+      '<a href="https://jira.example.com/browse/PROJ-1">PROJ-1</a>'
+    );
+    assert.strictEqual(
+      provider.renderTicket("PROJ-1", "javascript:alert(1)"),
+      "PROJ-1"
+    );
+    assert.strictEqual(
+      provider.renderTicket("<b>#1</b>", "command:workbench.action.quit"),
+      "&lt;b&gt;#1&lt;/b&gt;"
+    );
+    assert.strictEqual(provider.renderTicket("#1", null), "#1");
+  });
+
+  test("Session fields can't inject markup, styles or scripts", () => {
+    const startTime = new Date();
+    provider.addCompletedSession({
+      id: 'a" onmouseover="alert(1)',
+      language: {
+        id: 1,
+        name: "<img src=x onerror=alert(1)>",
+        color: "red; background-image: url(https://example.com/x)",
+      },
+      category: "coding",
+      startTime,
+      endTime: startTime,
+      duration: 60,
+    });
+
+    const html = provider.getHtmlContent();
+    assert.ok(!html.includes("<img"));
+    assert.ok(!html.includes("example.com"));
+    assert.ok(!html.includes('" onmouseover="'));
+    assert.ok(!html.includes("onclick"));
+
+    const nonce = /script-src 'nonce-([^']+)'/.exec(html)[1];
+    assert.ok(html.includes("default-src 'none'"));
+    assert.ok(html.includes(`<script nonce="${nonce}">`));
+  });
+
+  test("Only #rrggbb colors are used", () => {
+    assert.strictEqual(provider.getColor("#F7DF1E"), "#F7DF1E");
+    assert.strictEqual(
+      provider.getColor("#fff"),
+      "var(--vscode-descriptionForeground)"
+    );
+    assert.strictEqual(
+      provider.getColor("url(x)"),
+      "var(--vscode-descriptionForeground)"
+    );
+  });
+});
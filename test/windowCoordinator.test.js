@@ -0,0 +1,70 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const windowCoordinator = require("../windowCoordinator");
+
+suite("Window Coordinator Tests", () => {
+  let directory;
+  let first;
+  let second;
+
+  /**
+   * Rewrite the queue lock as if its owner last renewed it a while ago
+   * @param {Object} fields - Fields of the lock to change
+   */
+  function ageLock(fields) {
+    const lockFile = path.join(directory, "queue.lock");
+    const lock = JSON.parse(fs.readFileSync(lockFile, "utf8"));
+    fs.writeFileSync(lockFile, JSON.stringify({ ...lock, ...fields }));
+  }
+
+  setup(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "slopboard-windows-"));
+    first = windowCoordinator;
+    first.initialize(directory, "first");
+    second = new windowCoordinator.constructor();
+    second.initialize(directory, "second");
+  });
+
+  teardown(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("Only one window holds the queue lock", () => {
+    assert.strictEqual(first.tryAcquireQueueLock(), true);
+    assert.strictEqual(second.tryAcquireQueueLock(), false);
+    assert.strictEqual(first.tryAcquireQueueLock(), true);
+
+    assert.strictEqual(first.holdsQueueLock(), true);
+    assert.strictEqual(second.holdsQueueLock(), false);
+  });
+
+  test("An expired lock is taken over", () => {
+    first.tryAcquireQueueLock();
+    ageLock({ renewedAt: Date.now() - 60000 });
+
+    assert.strictEqual(first.holdsQueueLock(), false);
+    assert.strictEqual(second.tryAcquireQueueLock(), true);
+    assert.strictEqual(first.tryAcquireQueueLock(), false);
+    assert.strictEqual(first.holdsQueueLock(), false);
+    assert.strictEqual(second.holdsQueueLock(), true);
+  });
+
+  test("A lock of a process that is gone is taken over", () => {
+    first.tryAcquireQueueLock();
+    ageLock({ pid: 2147483647 });
+
+    assert.strictEqual(second.tryAcquireQueueLock(), true);
+    assert.strictEqual(second.holdsQueueLock(), true);
+  });
+
+  test("Releasing leaves another window's lock alone", () => {
+    second.tryAcquireQueueLock();
+    first.release();
+    assert.strictEqual(second.holdsQueueLock(), true);
+
+    second.release();
+    assert.strictEqual(first.tryAcquireQueueLock(), true);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Service for extracting ticket/issue IDs from branch names and commit messages
+ */
+class TicketService {
+  constructor() {
+    this.invalidPatterns = new Set();
+  }
+
+  /**
+   * Find the first ticket ID matching any of the patterns
+   * @param {Array<string|null>} sources - Texts to search, in order of preference
+   * @param {string[]} patterns - Regular expressions; the first capture group is used if present
+   * @returns {string|null} - The ticket ID or null if none matched
+   */
+  extractTicket(sources, patterns) {
+    for (const source of sources) {
+      if (!source) continue;
+
+      for (const pattern of patterns) {
+        const regex = this.compile(pattern);
+        const match = regex && regex.exec(source);
+        if (match) {
+          return match[1] || match[0];
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the URL of a ticket from a template
+   * @param {string|null} ticket - The ticket ID
+   * @param {string} template - URL with {ticket} and/or {number} placeholders
+   * @returns {string|null} - The URL or null if there's no ticket or template
+   */
+  getTicketUrl(ticket, template) {
+    if (!ticket || !template) return null;
+
+    const number = (/\d+/.exec(ticket) || [""])[0];
+    return template
+      .replace(/\{ticket\}/g, encodeURIComponent(ticket))
+      .replace(/\{number\}/g, number);
+  }
+
+  /**
+   * Compile a pattern, reporting invalid ones once
+   * @param {string} pattern - Regular expression source
+   * @returns {RegExp|null} - The compiled expression or null if invalid
+   * @private
+   */
+  compile(pattern) {
+    try {
+      return new RegExp(pattern);
+    } catch (error) {
+      if (!this.invalidPatterns.has(pattern)) {
+        this.invalidPatterns.add(pattern);
+        console.error(`Invalid ticket pattern ${pattern}:`, error.message);
+      }
+      return null;
+    }
+  }
+}
+
+module.exports = new TicketService();
@@ -1,5 +1,9 @@
 const vscode = require("vscode");
 const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+
+// Most characters a single keystroke inserts, e.g. auto-closed brackets
+const MAX_KEYSTROKE_CHARACTERS = 2;
 
 /**
  * Utility functions for the Slopboard Tracker extension
@@ -90,6 +94,163 @@ class Utils {
     return result;
   }
 
+  /**
+   * Get the start of the tracking day a date falls in
+   * @param {Date} date - The date
+   * @param {number} [dayStartHour] - Local hour at which a new day starts
+   * @returns {Date} - Start of the day
+   */
+  static getDayStart(date, dayStartHour = 0) {
+    const result = new Date(date);
+    result.setHours(dayStartHour, 0, 0, 0);
+
+    // Before the day start hour we're still in the previous day
+    if (result > date) {
+      result.setDate(result.getDate() - 1);
+    }
+
+    return result;
+  }
+
+  /**
+   * Split a session at day and week boundaries so every piece is credited
+   * to exactly one day and one week
+   * @param {Object} session - Session with startTime, endTime and duration
+   * @param {number} [dayStartHour] - Local hour at which a new day starts
+   * @returns {Array} - The pieces in chronological order
+   */
+  static splitSession(session, dayStartHour = 0) {
+    const startTime = new Date(session.startTime);
+    const endTime = new Date(session.endTime);
+    const totalMs = endTime - startTime;
+
+    const boundaries = [];
+    let cursor = startTime;
+    while (cursor < endTime) {
+      const nextDay = this.getDayStart(cursor, dayStartHour);
+      nextDay.setDate(nextDay.getDate() + 1);
+      const nextWeek = this.getWeekStart(cursor);
+      nextWeek.setDate(nextWeek.getDate() + 7);
+
+      cursor = nextDay < nextWeek ? nextDay : nextWeek;
+      if (cursor < endTime) {
+        boundaries.push(cursor);
+      }
+    }
+
+    if (boundaries.length === 0) {
+      return [session];
+    }
+
+    const edges = [startTime, ...boundaries, endTime];
+    const metrics = session.metrics || {};
+    let remaining = session.duration;
+    let remainingWriting = session.writingDuration;
+    const remainingMetrics = { ...metrics };
+
+    return edges.slice(0, -1).map((pieceStart, index) => {
+      const pieceEnd = edges[index + 1];
+      const isLast = index === edges.length - 2;
+      const share = (pieceEnd - pieceStart) / totalMs;
+
+      // Share the duration and metrics by wall time; the last piece takes
+      // the rounding rest
+      const duration = isLast
+        ? remaining
+        : Math.round(session.duration * share);
+      remaining -= duration;
+
+      // Writing time is shared the same way, the rest of the piece is reading
+      let writingDuration;
+      if (session.writingDuration !== undefined) {
+        writingDuration = isLast
+          ? remainingWriting
+          : Math.min(duration, Math.round(session.writingDuration * share));
+        remainingWriting -= writingDuration;
+      }
+
+      const pieceMetrics = {};
+      for (const [field, value] of Object.entries(metrics)) {
+        pieceMetrics[field] = isLast
+          ? remainingMetrics[field]
+          : Math.round(value * share);
+        remainingMetrics[field] -= pieceMetrics[field];
+      }
+
+      return {
+        ...session,
+        id: index === 0 ? session.id : uuidv4(),
+        startTime: pieceStart,
+        endTime: pieceEnd,
+        duration,
+        ...(writingDuration !== undefined && {
+          writingDuration,
+          readingDuration: duration - writingDuration,
+        }),
+        ...(session.metrics && { metrics: pieceMetrics }),
+      };
+    });
+  }
+
+  /**
+   * Measure the edits of a document change. Only what a keystroke inserts
+   * with a single cursor counts as typed: a character, an auto-closed pair or
+   * a line break with its indentation. Pastes, completions, formatting,
+   * multi-cursor edits and undo or redo still change lines and size.
+   * @param {readonly vscode.TextDocumentContentChangeEvent[]} contentChanges
+   * @param {vscode.TextDocumentChangeReason} [reason] - Why the document changed
+   * @returns {Object} - charactersTyped, linesAdded, linesDeleted and sizeDelta
+   */
+  static measureChanges(contentChanges, reason) {
+    const metrics = {
+      charactersTyped: 0,
+      linesAdded: 0,
+      linesDeleted: 0,
+      sizeDelta: 0,
+    };
+
+    for (const change of contentChanges) {
+      metrics.linesAdded += change.text.split("\n").length - 1;
+      metrics.linesDeleted += change.range.end.line - change.range.start.line;
+      metrics.sizeDelta += change.text.length - change.rangeLength;
+    }
+
+    if (contentChanges.length === 1 && !this.isUndoOrRedo(reason)) {
+      metrics.charactersTyped =
+        this.getKeystrokeLength(contentChanges[0].text) || 0;
+    }
+
+    return metrics;
+  }
+
+  /**
+   * Check if a document changed because of undo or redo, which restores
+   * text that was already counted
+   * @param {vscode.TextDocumentChangeReason} [reason] - Why the document changed
+   * @returns {boolean}
+   */
+  static isUndoOrRedo(reason) {
+    return Boolean(
+      vscode.TextDocumentChangeReason &&
+        (reason === vscode.TextDocumentChangeReason.Undo ||
+          reason === vscode.TextDocumentChangeReason.Redo)
+    );
+  }
+
+  /**
+   * Get the number of characters a single keystroke inserted
+   * @param {string} text - Text inserted by a change
+   * @returns {number|null} - Characters typed, or null if the text is more
+   * than a keystroke inserts
+   */
+  static getKeystrokeLength(text) {
+    // Enter also inserts the indentation of the new line
+    const keystroke = text.replace(/\r?\n[ \t]*$/, "\n");
+    return keystroke.length <= MAX_KEYSTROKE_CHARACTERS
+      ? keystroke.length
+      : null;
+  }
+
   /**
    * Get the end of a week for a given date
    * @param {Date} date - The date
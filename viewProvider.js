@@ -1,5 +1,13 @@
 const vscode = require("vscode");
+const crypto = require("crypto");
 const Utils = require("./utils");
+const activityService = require("./activityService");
+const insertionService = require("./insertionService");
+const focusService = require("./focusService");
+
+// Language colors come from the API and the cache, so only plain hex colors
+// make it into style attributes
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
 
 /**
  * WebView provider for showing summary information
@@ -12,6 +20,16 @@ class SummaryViewProvider {
     this.completedSessions = [];
     this.todaysSessions = [];
     this.weekSessions = [];
+    this.goalProgress = [];
+  }
+
+  /**
+   * Set the progress towards the configured goals
+   * @param {Array} progress - Progress and streak of each goal
+   */
+  setGoalProgress(progress) {
+    this.goalProgress = progress;
+    this.updateView();
   }
 
   /**
@@ -34,17 +52,17 @@ class SummaryViewProvider {
       this.completedSessions.pop();
     }
 
-    // Add to today's sessions if applicable
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const sessionDate = new Date(session.endTime);
+    // Sessions are split at day and week boundaries before they get here,
+    // so the start time decides which day and week they belong to
+    const today = this.getDayStart();
+    const sessionDate = new Date(session.startTime);
 
     if (sessionDate >= today) {
       this.todaysSessions.push(session);
     }
 
     // Add to this week's sessions if applicable
-    const weekStart = Utils.getWeekStart(today);
+    const weekStart = Utils.getWeekStart(new Date());
     if (sessionDate >= weekStart) {
       this.weekSessions.push(session);
     }
@@ -52,6 +70,70 @@ class SummaryViewProvider {
     this.updateView();
   }
 
+  /**
+   * Replace the completed sessions, e.g. with the ones from the local history
+   * @param {Array} sessions - Completed sessions of this week and today,
+   * ordered by start time
+   */
+  setSessions(sessions) {
+    const today = this.getDayStart();
+    const weekStart = Utils.getWeekStart(new Date());
+
+    this.completedSessions = sessions
+      .slice()
+      .sort((a, b) => new Date(b.endTime) - new Date(a.endTime))
+      .slice(0, 10);
+    this.todaysSessions = sessions.filter(
+      (session) => new Date(session.startTime) >= today
+    );
+    this.weekSessions = sessions.filter(
+      (session) => new Date(session.startTime) >= weekStart
+    );
+
+    this.updateView();
+  }
+
+  /**
+   * Replace a session that was edited
+   * @param {Object} session - The edited session, with the ID of the original
+   */
+  replaceSession(session) {
+    const replace = (sessions) =>
+      sessions.map((existing) =>
+        existing.id === session.id ? session : existing
+      );
+    this.completedSessions = replace(this.completedSessions);
+    this.todaysSessions = replace(this.todaysSessions);
+    this.weekSessions = replace(this.weekSessions);
+
+    this.updateView();
+  }
+
+  /**
+   * Remove a session that was deleted
+   * @param {string} id - ID of the session
+   */
+  removeSession(id) {
+    const remove = (sessions) =>
+      sessions.filter((existing) => existing.id !== id);
+    this.completedSessions = remove(this.completedSessions);
+    this.todaysSessions = remove(this.todaysSessions);
+    this.weekSessions = remove(this.weekSessions);
+
+    this.updateView();
+  }
+
+  /**
+   * Get the start of the current tracking day
+   * @returns {Date} - Start of today, honoring the configured day start hour
+   */
+  getDayStart() {
+    const dayStartHour = vscode.workspace
+      .getConfiguration("slopboardTracker")
+      .get("dayStartHour", 0);
+    return Utils.getDayStart(new Date(), dayStartHour);
+  }
+
   /**
    * Implement the VS Code webview view provider interface
    * @param {vscode.WebviewView} webviewView - The webview view
@@ -76,6 +158,18 @@ class SummaryViewProvider {
         case "openSettings":
           vscode.commands.executeCommand("slopboardTracker.viewSettings");
           break;
+        case "editSession":
+          vscode.commands.executeCommand(
+            "slopboardTracker.editSession",
+            message.id
+          );
+          break;
+        case "deleteSession":
+          vscode.commands.executeCommand(
+            "slopboardTracker.deleteSession",
+            message.id
+          );
+          break;
       }
     });
   }
@@ -94,18 +188,35 @@ class SummaryViewProvider {
    * @returns {string} - HTML content
    */
   getHtmlContent() {
+    // Drop sessions from earlier days and weeks if the view stayed open
+    const today = this.getDayStart();
+    const weekStart = Utils.getWeekStart(new Date());
+    this.todaysSessions = this.todaysSessions.filter(
+      (session) => new Date(session.startTime) >= today
+    );
+    this.weekSessions = this.weekSessions.filter(
+      (session) => new Date(session.startTime) >= weekStart
+    );
+
     // Calculate summary data
     const todayTotal = this.calculateTotalDuration(this.todaysSessions);
     const weekTotal = this.calculateTotalDuration(this.weekSessions);
 
-    // Group today's sessions by language
+    // Group today's sessions by language, category and ticket
     const languageGroups = this.groupSessionsByLanguage(this.todaysSessions);
+    const categoryGroups = this.groupSessionsByCategory(this.todaysSessions);
+    const ticketGroups = this.groupSessionsByTicket(this.todaysSessions);
+    const focusStats = focusService.getStats(today);
+
+    // Only the script below may run, inline event handlers are blocked
+    const nonce = crypto.randomBytes(16).toString("base64");
 
     return `
       <!DOCTYPE html>
       <html lang="en">
       <head>
         <meta charset="UTF-8">
+        <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'nonce-${nonce}';">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
         <title>Slopboard Summary</title>
         <style>
@@ -172,6 +283,27 @@ class SummaryViewProvider {
           .refresh-btn:hover {
             background-color: var(--vscode-button-hoverBackground);
           }
+          .goal-bar {
+            height: 4px;
+            margin-bottom: 6px;
+            background-color: var(--vscode-editorWidget-background);
+            border-radius: 2px;
+            overflow: hidden;
+          }
+          .goal-fill {
+            height: 100%;
+            background-color: var(--vscode-progressBar-background);
+          }
+          .goal-met {
+            background-color: var(--vscode-testing-iconPassed);
+          }
+          .session-actions {
+            margin-top: 3px;
+          }
+          .session-actions a {
+            margin-right: 8px;
+            cursor: pointer;
+          }
           .settings-btn {
             margin-top: 5px;
             background: none;
@@ -188,12 +320,31 @@ class SummaryViewProvider {
         <h2>Summary</h2>
         <div class="summary-item">
           <span>Today</span>
-          <span>${Utils.formatDuration(todayTotal)}</span>
+          <span>${this.escapeHtml(Utils.formatDuration(todayTotal))}</span>
         </div>
         <div class="summary-item">
           <span>This Week</span>
-          <span>${Utils.formatDuration(weekTotal)}</span>
+          <span>${this.escapeHtml(Utils.formatDuration(weekTotal))}</span>
+        </div>
+        ${
+          focusStats.focusTime > 0
+            ? `
+        <div class="summary-item">
+          <span>Pomodoros Today</span>
+          <span>${this.escapeHtml(focusStats.pomodoros)}</span>
+        </div>
+        <div class="summary-item">
+          <span>Focus Time Today</span>
+          <span>${this.escapeHtml(
+            Utils.formatDuration(focusStats.focusTime)
+          )}</span>
         </div>
+        `
+            : ""
+        }
+        ${this.goalProgress
+          .map((progress) => this.renderGoal(progress))
+          .join("")}
         
         ${
           this.activeSession
@@ -202,12 +353,16 @@ class SummaryViewProvider {
           <div class="active-session">
             <div class="session-header">
               <span>
-                <span class="language-dot" style="background-color: ${
-                  this.activeSession.language.color
-                }"></span>
-                ${this.activeSession.language.name}
+                ${this.renderLanguage(this.activeSession.language)}
               </span>
-              <span>${this.getSessionDuration(this.activeSession)}</span>
+              <span>${this.escapeHtml(
+                this.getSessionDuration(this.activeSession)
+              )}</span>
+            </div>
+            <div class="session-details">
+              ${this.escapeHtml(
+                activityService.getCategoryLabel(this.activeSession.category)
+              )}
             </div>
           </div>
         `
@@ -222,12 +377,11 @@ class SummaryViewProvider {
                   (group) => `
             <div class="summary-item">
               <span>
-                <span class="language-dot" style="background-color: ${
-                  group.language.color
-                }"></span>
-                ${group.language.name}
+                ${this.renderLanguage(group.language)}
               </span>
-              <span>${Utils.formatDuration(group.duration)}</span>
+              <span>${this.escapeHtml(
+                Utils.formatDuration(group.duration)
+              )}</span>
             </div>
           `
                 )
@@ -235,6 +389,48 @@ class SummaryViewProvider {
             : '<div class="empty-state">No coding activity tracked today</div>'
         }
         
+        ${
+          categoryGroups.length > 0
+            ? `
+          <h2>Today's Activities</h2>
+          ${categoryGroups
+            .map(
+              (group) => `
+            <div class="summary-item">
+              <span>${this.escapeHtml(
+                activityService.getCategoryLabel(group.category)
+              )}</span>
+              <span>${this.escapeHtml(
+                Utils.formatDuration(group.duration)
+              )}</span>
+            </div>
+          `
+            )
+            .join("")}
+        `
+            : ""
+        }
+
+        ${
+          ticketGroups.length > 0
+            ? `
+          <h2>Today's Tickets</h2>
+          ${ticketGroups
+            .map(
+              (group) => `
+            <div class="summary-item">
+              <span>${this.renderTicket(group.ticket, group.ticketUrl)}</span>
+              <span>${this.escapeHtml(
+                Utils.formatDuration(group.duration)
+              )}</span>
+            </div>
+          `
+            )
+            .join("")}
+        `
+            : ""
+        }
+
         <h2>Recent Sessions</h2>
         ${
           this.completedSessions.length > 0
@@ -244,17 +440,52 @@ class SummaryViewProvider {
             <div class="session-item">
               <div class="session-header">
                 <span>
-                  <span class="language-dot" style="background-color: ${
-                    session.language.color
-                  }"></span>
-                  ${session.language.name}
+                  ${this.renderLanguage(session.language)}
                 </span>
-                <span>${Utils.formatDuration(session.duration)}</span>
+                <span>${this.escapeHtml(
+                  Utils.formatDuration(session.duration)
+                )}</span>
               </div>
             <div class="session-details">
-                ${this.formatDateTime(
-                  session.startTime
-                )} - ${this.formatDateTime(session.endTime)}
+                ${this.escapeHtml(
+                  this.formatDateTime(session.startTime)
+                )} - ${this.escapeHtml(this.formatDateTime(session.endTime))}
+                &middot; ${this.escapeHtml(
+                  activityService.getCategoryLabel(session.category)
+                )}
+                ${
+                  session.readingDuration
+                    ? ` &middot; ${this.escapeHtml(
+                        this.formatReading(session)
+                      )}`
+                    : ""
+                }
+                ${
+                  this.formatMetrics(session.metrics)
+                    ? ` &middot; ${this.formatMetrics(session.metrics)}`
+                    : ""
+                }
+                ${
+                  session.ticket
+                    ? ` &middot; ${this.renderTicket(
+                        session.ticket,
+                        session.ticketUrl
+                      )}`
+                    : ""
+                }
+                ${
+                  session.note
+                    ? ` &middot; ${this.escapeHtml(session.note)}`
+                    : ""
+                }
+              </div>
+              <div class="session-details session-actions">
+                <a data-command="editSession" data-id="${this.escapeHtml(
+                  session.id
+                )}">Edit</a>
+                <a data-command="deleteSession" data-id="${this.escapeHtml(
+                  session.id
+                )}">Delete</a>
               </div>
             </div>
           `
@@ -264,26 +495,25 @@ class SummaryViewProvider {
         }
         
         <div style="text-align: center; margin-top: 20px;">
-          <button class="refresh-btn" onclick="refresh()">Refresh Data</button>
+          <button class="refresh-btn" data-command="refresh">Refresh Data</button>
           <br>
-          <button class="settings-btn" onclick="openSettings()">Settings</button>
+          <button class="settings-btn" data-command="openSettings">Settings</button>
         </div>
         
-        <script>
-          function refresh() {
-            vscode.postMessage({
-              command: 'refresh'
-            });
-          }
+        <script nonce="${nonce}">
+          // Acquire VS Code API
+          const vscode = acquireVsCodeApi();
           
-          function openSettings() {
+          // Buttons and links name the command they send
+          document.addEventListener('click', (event) => {
+            const target = event.target.closest('[data-command]');
+            if (!target) return;
+            
             vscode.postMessage({
-              command: 'openSettings'
+              command: target.dataset.command,
+              id: target.dataset.id
             });
-          }
-          
-          // Acquire VS Code API
-          const vscode = acquireVsCodeApi();
+          });
         </script>
       </body>
       </html>
@@ -324,6 +554,197 @@ class SummaryViewProvider {
     return Array.from(groups.values()).sort((a, b) => b.duration - a.duration);
   }
 
+  /**
+   * Group sessions by activity category and calculate total duration per category
+   * @param {Array} sessions - List of sessions
+   * @returns {Array} - List of category groups with durations
+   */
+  groupSessionsByCategory(sessions) {
+    const groups = new Map();
+
+    for (const session of sessions) {
+      const category = session.category || activityService.CATEGORIES.CODING;
+      if (!groups.has(category)) {
+        groups.set(category, { category, duration: 0 });
+      }
+
+      groups.get(category).duration += session.duration;
+    }
+
+    // Convert to array and sort by duration (descending)
+    return Array.from(groups.values()).sort((a, b) => b.duration - a.duration);
+  }
+
+  /**
+   * Group sessions by ticket and calculate total duration per ticket
+   * @param {Array} sessions - List of sessions
+   * @returns {Array} - List of ticket groups with durations
+   */
+  groupSessionsByTicket(sessions) {
+    const groups = new Map();
+
+    for (const session of sessions) {
+      if (!session.ticket) continue;
+
+      if (!groups.has(session.ticket)) {
+        groups.set(session.ticket, {
+          ticket: session.ticket,
+          ticketUrl: session.ticketUrl,
+          duration: 0,
+        });
+      }
+
+      groups.get(session.ticket).duration += session.duration;
+    }
+
+    // Convert to array and sort by duration (descending)
+    return Array.from(groups.values()).sort((a, b) => b.duration - a.duration);
+  }
+
+  /**
+   * Render the progress bar and streak of a goal
+   * @param {Object} progress - Progress and streak of the goal
+   * @returns {string} - HTML for the goal
+   */
+  renderGoal(progress) {
+    const percent = Math.min(100, Math.floor(progress.ratio * 100));
+    return `
+      <div class="summary-item">
+        <span>${this.escapeHtml(progress.label)}</span>
+        <span>${this.escapeHtml(
+          Utils.formatDuration(progress.seconds)
+        )} / ${this.escapeHtml(Utils.formatDuration(progress.target))}</span>
+      </div>
+      <div class="goal-bar">
+        <div class="goal-fill${
+          progress.met ? " goal-met" : ""
+        }" style="width: ${percent}%"></div>
+      </div>
+      ${
+        progress.streak > 1
+          ? `<div class="session-details">${this.escapeHtml(
+              `${progress.streak} ${progress.goal.period}s in a row`
+            )}</div>`
+          : ""
+      }
+    `;
+  }
+
+  /**
+   * Render a language's color dot and name
+   * @param {Object} language - Language with a name and color
+   * @returns {string} - HTML for the language
+   */
+  renderLanguage(language) {
+    return `<span class="language-dot" style="background-color: ${this.getColor(
+      language.color
+    )}"></span>
+      ${this.escapeHtml(language.name)}`;
+  }
+
+  /**
+   * Get a color that is safe to use in a style attribute
+   * @param {string} color - Color of a language
+   * @returns {string} - The color if it's a #rrggbb color, otherwise a theme color
+   */
+  getColor(color) {
+    return COLOR_PATTERN.test(color)
+      ? color
+      : "var(--vscode-descriptionForeground)";
+  }
+
+  /**
+   * Render a ticket ID, linked if there is a web URL for it
+   * @param {string} ticket - The ticket ID
+   * @param {string|null} ticketUrl - URL of the ticket
+   * @returns {string} - HTML for the ticket
+   */
+  renderTicket(ticket, ticketUrl) {
+    const label = this.escapeHtml(ticket);
+    return this.isWebUrl(ticketUrl)
+      ? `<a href="${this.escapeHtml(ticketUrl)}">${label}</a>`
+      : label;
+  }
+
+  /**
+   * Check if a URL is safe to link to from the view
+   * @param {string|null} url - URL built from a setting or project config
+   * @returns {boolean} - True for http and https URLs
+   */
+  isWebUrl(url) {
+    try {
+      return ["http:", "https:"].includes(new URL(url).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Escape text for use in HTML
+   * @param {string} text - Text that may come from branch names or settings
+   * @returns {string} - Escaped text
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * Format how a session's time was split between reading and writing
+   * @param {Object} session - Session with reading and writing durations
+   * @returns {string} - Both durations
+   */
+  formatReading(session) {
+    return `${Utils.formatDuration(
+      session.writingDuration
+    )} writing, ${Utils.formatDuration(session.readingDuration)} reading`;
+  }
+
+  /**
+   * Format the edit metrics of a session for display
+   * @param {Object} [metrics] - Edit metrics of the session
+   * @returns {string} - Lines, characters, their sources and saves, or "" without edits
+   */
+  formatMetrics(metrics) {
+    if (!metrics) return "";
+
+    const parts = [];
+    if (metrics.linesAdded || metrics.linesDeleted) {
+      parts.push(
+        `+${this.escapeHtml(
+          metrics.linesAdded || 0
+        )} / &minus;${this.escapeHtml(metrics.linesDeleted || 0)} lines`
+      );
+    }
+    if (metrics.charactersTyped) {
+      parts.push(`${this.escapeHtml(metrics.charactersTyped)} chars`);
+    }
+    if (metrics.pastedCharacters || metrics.aiCharacters) {
+      const shares = insertionService.getShares({
+        typed: metrics.typedCharacters,
+        pasted: metrics.pastedCharacters,
+        ai: metrics.aiCharacters,
+      });
+      parts.push(
+        `${Math.round(shares.pasted * 100)}% pasted, ${Math.round(
+          shares.ai * 100
+        )}% AI`
+      );
+    }
+    if (metrics.saves) {
+      parts.push(
+        this.escapeHtml(
+          `${metrics.saves} ${metrics.saves === 1 ? "save" : "saves"}`
+        )
+      );
+    }
+    return parts.join(" &middot; ");
+  }
+
   /**
    * Format a date/time for display
    * @param {Date|string} datetime - Date object or ISO string
@@ -342,8 +763,12 @@ class SummaryViewProvider {
   getSessionDuration(session) {
     if (!session.startTime) return "0s";
 
+    // The clock may have been set back since the session started
     const now = new Date();
-    const duration = Math.floor((now - new Date(session.startTime)) / 1000);
+    const duration = Math.max(
+      0,
+      Math.floor((now - new Date(session.startTime)) / 1000)
+    );
     return Utils.formatDuration(duration);
   }
 }
@@ -0,0 +1,218 @@
+const fs = require("fs");
+const path = require("path");
+
+// A lock that hasn't been renewed for this long belongs to a dead window
+const LOCK_TTL_MS = 30000;
+
+// How long a read of the focus claim is reused before hitting the disk again
+const FOCUS_CACHE_MS = 1000;
+
+/**
+ * Coordinates VS Code windows through files in the global storage directory.
+ * One window is elected to write the shared offline queue, and only the most
+ * recently focused window may record activity.
+ */
+class WindowCoordinator {
+  constructor() {
+    this.directory = null;
+    this.instanceId = null;
+    this.focusCache = null;
+  }
+
+  /**
+   * Set up the coordinator for this window
+   * @param {string} directory - Directory shared by all windows
+   * @param {string} instanceId - ID of this window
+   */
+  initialize(directory, instanceId) {
+    this.directory = directory;
+    this.instanceId = instanceId;
+  }
+
+  /**
+   * Acquire or renew the lock that makes this window the queue writer
+   * @returns {boolean} - True if this window holds the lock
+   */
+  tryAcquireQueueLock() {
+    const lockFile = path.join(this.directory, "queue.lock");
+    const lock = this.readJson(lockFile);
+
+    if (lock && lock.instanceId === this.instanceId) {
+      this.writeJson(lockFile, this.createRecord());
+      return true;
+    }
+
+    if (lock && this.isAlive(lock)) {
+      return false;
+    }
+
+    try {
+      if (lock) {
+        this.removeStaleLock(lockFile, lock);
+      }
+
+      // Exclusive create, so only one window wins a free lock
+      fs.writeFileSync(lockFile, JSON.stringify(this.createRecord()), {
+        flag: "wx",
+      });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check, without renewing it, that this window still holds a live queue
+   * lock, e.g. right before writing the queue
+   * @returns {boolean} - True if the lock is this window's and hasn't expired
+   */
+  holdsQueueLock() {
+    const lock = this.readJson(path.join(this.directory, "queue.lock"));
+    return Boolean(
+      lock &&
+        lock.instanceId === this.instanceId &&
+        Date.now() - lock.renewedAt < LOCK_TTL_MS
+    );
+  }
+
+  /**
+   * Move a stale lock out of the way without clobbering a fresh one
+   * @param {string} lockFile - Path of the lock
+   * @param {Object} staleLock - The stale lock as it was read
+   * @private
+   */
+  removeStaleLock(lockFile, staleLock) {
+    const moved = `${lockFile}.${process.pid}.stale`;
+    fs.renameSync(lockFile, moved);
+
+    // Another window may have replaced the lock between our read and the rename
+    const lock = this.readJson(moved);
+    if (
+      lock &&
+      (lock.instanceId !== staleLock.instanceId ||
+        lock.renewedAt !== staleLock.renewedAt)
+    ) {
+      fs.renameSync(moved, lockFile);
+      throw new Error("Queue lock was taken over by another window");
+    }
+
+    fs.rmSync(moved, { force: true });
+  }
+
+  /**
+   * Claim the focus so other windows stop recording activity
+   */
+  claimFocus() {
+    const claim = this.createRecord();
+    this.writeJson(path.join(this.directory, "focus.json"), claim);
+    this.focusCache = { claim, readAt: Date.now() };
+  }
+
+  /**
+   * Check whether this window may record activity
+   * @returns {boolean} - True unless another live window claimed the focus later
+   */
+  ownsFocus() {
+    const now = Date.now();
+    if (!this.focusCache || now - this.focusCache.readAt > FOCUS_CACHE_MS) {
+      this.focusCache = {
+        claim: this.readJson(path.join(this.directory, "focus.json")),
+        readAt: now,
+      };
+    }
+
+    const claim = this.focusCache.claim;
+    if (!claim || claim.instanceId === this.instanceId) {
+      return true;
+    }
+
+    return !this.isProcessAlive(claim.pid);
+  }
+
+  /**
+   * Give up the queue lock and focus claim when the window closes
+   */
+  release() {
+    for (const name of ["queue.lock", "focus.json"]) {
+      const file = path.join(this.directory, name);
+      const record = this.readJson(file);
+      if (record && record.instanceId === this.instanceId) {
+        fs.rmSync(file, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Create a record identifying this window
+   * @returns {Object} - Record with instanceId, pid and renewal time
+   * @private
+   */
+  createRecord() {
+    return {
+      instanceId: this.instanceId,
+      pid: process.pid,
+      renewedAt: Date.now(),
+    };
+  }
+
+  /**
+   * Check if the window that wrote a record is still running
+   * @param {Object} record - Lock or claim record
+   * @returns {boolean} - True if the record is recent and its process exists
+   * @private
+   */
+  isAlive(record) {
+    return (
+      Date.now() - record.renewedAt < LOCK_TTL_MS &&
+      this.isProcessAlive(record.pid)
+    );
+  }
+
+  /**
+   * Check if a process exists
+   * @param {number} pid - Process ID
+   * @returns {boolean} - True if the process exists
+   * @private
+   */
+  isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM means it exists but belongs to someone else
+      return error.code === "EPERM";
+    }
+  }
+
+  /**
+   * Read a JSON file
+   * @param {string} file - Path of the file
+   * @returns {Object|null} - Parsed content or null if missing or unreadable
+   * @private
+   */
+  readJson(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Atomically replace a JSON file
+   * @param {string} file - Path of the file
+   * @param {Object} data - Content to write
+   * @private
+   */
+  writeJson(file, data) {
+    try {
+      const temporary = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(temporary, JSON.stringify(data));
+      fs.renameSync(temporary, file);
+    } catch (error) {
+      console.error(`Failed to write ${path.basename(file)}:`, error);
+    }
+  }
+}
+
+module.exports = new WindowCoordinator();